@@ -34,7 +34,7 @@ module Jekyll
     asset_hashes = {}
 
     # Asset extensions to fingerprint
-    asset_extensions = %w[.css .js .png .jpg .jpeg .gif .svg .ico .woff .woff2 .ttf .eot .pmtiles]
+    asset_extensions = %w[.css .js .png .jpg .jpeg .gif .svg .ico .woff .woff2 .ttf .eot .pmtiles .json]
 
     Jekyll.logger.info "Asset Hash:", "Starting post-build asset fingerprinting..."
 
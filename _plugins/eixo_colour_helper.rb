@@ -22,6 +22,16 @@ module Jekyll
       propostas_page["eixos_colour_map"] || {}
     end
 
+    # Combine the eixo colours of several freguesias for the citywide map
+    # Eixos shared by freguesias keep the colour of the first freguesia listing them
+    def citywide_eixo_colour_mapping(freguesia_slugs)
+      Array(freguesia_slugs).each_with_object({}) do |freguesia_slug, mapping|
+        freguesia_eixo_colour_mapping(freguesia_slug).each do |eixo, colour|
+          mapping[eixo] ||= colour
+        end
+      end
+    end
+
     def my_to_json(input)
       JSON.generate(input)
     end
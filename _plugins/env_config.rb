@@ -0,0 +1,13 @@
+require "dotenv/load"
+
+module Jekyll
+  # Settings that are secrets are read from the environment (or a local .env file)
+  # at build time instead of being committed to _config.yml
+  Jekyll::Hooks.register :site, :after_init do |site|
+    site.config["maptiler_key"] = ENV.fetch("MAPTILER_KEY", "")
+
+    if site.config["maptiler_key"].empty?
+      Jekyll.logger.warn "Basemaps:", "MAPTILER_KEY is not set, the maps will use the self-hosted basemap"
+    end
+  end
+end
@@ -0,0 +1,313 @@
+// Image gallery with a fullscreen lightbox, shared by the map panel and proposta pages
+// render() returns the gallery HTML (a featured image plus a thumbnail strip, all lazy
+// loaded) and setup() wires it up once it is in the page. Images that fail to load are
+// hidden from the strip and skipped by the lightbox. Depends on safe-html.js.
+window.imageGallery = (function () {
+  const DEFAULT_LABELS = {
+    open: "Abrir imagem {index} de {count}",
+    close: "Fechar",
+    previous: "Imagem anterior",
+    next: "Imagem seguinte",
+    unavailable: "Imagem indisponível",
+  };
+
+  // Minimum horizontal distance in pixels for a touch move to count as a swipe
+  const SWIPE_THRESHOLD = 50;
+
+  let lightbox = null;
+  let lightboxImages = [];
+  let lightboxIndex = 0;
+  let lightboxLabels = DEFAULT_LABELS;
+  let returnFocusTo = null;
+
+  // Helper function to fill in "{name}" placeholders in a label
+  function format(label, params) {
+    return label.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? params[name] : match,
+    );
+  }
+
+  // Function to render the gallery HTML for a list of image URLs
+  // options.captions: alt text / caption for each image
+  // options.labels: translated labels, see DEFAULT_LABELS
+  function render(urls, options = {}) {
+    const { escapeHtml, isSafeImageUrl } = window.safeHtml;
+    const captions = options.captions || [];
+    const labels = Object.assign({}, DEFAULT_LABELS, options.labels);
+
+    const images = urls
+      .map((url, index) => ({ url: url, caption: captions[index] || "" }))
+      .filter((image) => isSafeImageUrl(image.url));
+
+    if (images.length === 0) {
+      return "";
+    }
+
+    const items = images
+      .map((image, index) => {
+        const itemClass =
+          index === 0 ? "image-gallery-featured" : "image-gallery-thumbnail";
+        return `
+          <button type="button" class="image-gallery-item ${itemClass}" data-gallery-index="${index}" aria-label="${escapeHtml(format(labels.open, { index: index + 1, count: images.length }))}">
+            <img src="${escapeHtml(image.url)}" alt="${escapeHtml(image.caption)}" loading="lazy" decoding="async">
+          </button>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="image-gallery" data-gallery-labels="${escapeHtml(JSON.stringify(labels))}">
+        ${items}
+      </div>
+    `;
+  }
+
+  // Function to wire up every gallery rendered inside a container
+  function setup(root) {
+    root.querySelectorAll(".image-gallery").forEach((gallery) => {
+      if (gallery.dataset.galleryReady) return;
+      gallery.dataset.galleryReady = "true";
+
+      const labels = JSON.parse(gallery.dataset.galleryLabels || "{}");
+
+      gallery.querySelectorAll(".image-gallery-item").forEach((item) => {
+        const img = item.querySelector("img");
+
+        // Hide images that fail to load, and the whole gallery if none are left
+        const markBroken = () => {
+          item.classList.add("d-none");
+          item.dataset.galleryBroken = "true";
+          promoteFeaturedImage(gallery);
+        };
+
+        img.addEventListener("error", markBroken);
+        if (img.complete && img.naturalWidth === 0 && img.src) {
+          markBroken();
+        }
+
+        item.addEventListener("click", function () {
+          const items = getAvailableItems(gallery);
+          open(
+            items.map((availableItem) => {
+              const image = availableItem.querySelector("img");
+              return { url: image.src, caption: image.alt };
+            }),
+            items.indexOf(item),
+            labels,
+            item,
+          );
+        });
+      });
+    });
+  }
+
+  // Helper function to list the gallery items whose image loaded
+  function getAvailableItems(gallery) {
+    return Array.from(gallery.querySelectorAll(".image-gallery-item")).filter(
+      (item) => !item.dataset.galleryBroken,
+    );
+  }
+
+  // Function to make the first working image the featured one
+  function promoteFeaturedImage(gallery) {
+    const items = getAvailableItems(gallery);
+
+    if (items.length === 0) {
+      gallery.classList.add("d-none");
+      return;
+    }
+
+    if (!items[0].classList.contains("image-gallery-featured")) {
+      items[0].classList.remove("image-gallery-thumbnail");
+      items[0].classList.add("image-gallery-featured");
+    }
+  }
+
+  // Function to create the lightbox element, shared by every gallery on the page
+  function createLightbox() {
+    const element = document.createElement("div");
+    element.className = "image-lightbox d-none";
+    element.setAttribute("role", "dialog");
+    element.setAttribute("aria-modal", "true");
+    element.tabIndex = -1;
+    element.innerHTML = `
+      <button type="button" class="image-lightbox-close" data-lightbox-action="close">
+        <span aria-hidden="true">&times;</span>
+      </button>
+      <button type="button" class="image-lightbox-nav image-lightbox-previous" data-lightbox-action="previous">
+        <span aria-hidden="true">&lsaquo;</span>
+      </button>
+      <figure class="image-lightbox-figure">
+        <img class="image-lightbox-image" alt="">
+        <div class="image-lightbox-unavailable d-none"></div>
+        <figcaption class="image-lightbox-caption">
+          <span class="image-lightbox-caption-text"></span>
+          <span class="image-lightbox-counter"></span>
+        </figcaption>
+      </figure>
+      <button type="button" class="image-lightbox-nav image-lightbox-next" data-lightbox-action="next">
+        <span aria-hidden="true">&rsaquo;</span>
+      </button>
+    `;
+
+    element.addEventListener("click", function (e) {
+      const action = e.target.closest("[data-lightbox-action]");
+      if (action) {
+        const name = action.dataset.lightboxAction;
+        if (name === "close") close();
+        if (name === "previous") show(lightboxIndex - 1);
+        if (name === "next") show(lightboxIndex + 1);
+      } else if (e.target === element) {
+        // Clicking the backdrop closes the lightbox
+        close();
+      }
+    });
+
+    element.addEventListener("keydown", function (e) {
+      if (e.key === "Escape") {
+        // Keep an enclosing offcanvas or modal from closing as well
+        e.preventDefault();
+        e.stopPropagation();
+        close();
+      } else if (e.key === "ArrowLeft") {
+        e.preventDefault();
+        show(lightboxIndex - 1);
+      } else if (e.key === "ArrowRight") {
+        e.preventDefault();
+        show(lightboxIndex + 1);
+      } else if (e.key === "Tab") {
+        trapFocus(e);
+      }
+    });
+
+    // Swipe left/right to move between images
+    let touchStartX = null;
+    element.addEventListener(
+      "touchstart",
+      function (e) {
+        touchStartX = e.touches.length === 1 ? e.touches[0].clientX : null;
+      },
+      { passive: true },
+    );
+    element.addEventListener("touchend", function (e) {
+      if (touchStartX === null) return;
+
+      const deltaX = e.changedTouches[0].clientX - touchStartX;
+      touchStartX = null;
+
+      if (Math.abs(deltaX) > SWIPE_THRESHOLD) {
+        show(lightboxIndex + (deltaX < 0 ? 1 : -1));
+      }
+    });
+
+    const image = element.querySelector(".image-lightbox-image");
+    image.addEventListener("error", function () {
+      image.classList.add("d-none");
+      element
+        .querySelector(".image-lightbox-unavailable")
+        .classList.remove("d-none");
+    });
+
+    return element;
+  }
+
+  // Helper function to keep keyboard focus inside the lightbox
+  function trapFocus(e) {
+    const focusable = Array.from(
+      lightbox.querySelectorAll("button:not(.d-none)"),
+    );
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Function to show the image at an index, wrapping around at both ends
+  function show(index) {
+    const count = lightboxImages.length;
+    lightboxIndex = (index + count) % count;
+
+    const current = lightboxImages[lightboxIndex];
+    const image = lightbox.querySelector(".image-lightbox-image");
+    const unavailable = lightbox.querySelector(".image-lightbox-unavailable");
+
+    image.classList.remove("d-none");
+    unavailable.classList.add("d-none");
+    unavailable.textContent = lightboxLabels.unavailable;
+    image.src = current.url;
+    image.alt = current.caption;
+
+    lightbox.querySelector(".image-lightbox-caption-text").textContent =
+      current.caption;
+    lightbox.querySelector(".image-lightbox-counter").textContent =
+      count > 1 ? `${lightboxIndex + 1} / ${count}` : "";
+
+    lightbox.querySelectorAll(".image-lightbox-nav").forEach((button) => {
+      button.classList.toggle("d-none", count < 2);
+    });
+  }
+
+  // Function to open the lightbox on a list of images
+  function open(images, index, labels, trigger) {
+    if (images.length === 0) return;
+
+    if (!lightbox) {
+      lightbox = createLightbox();
+    }
+
+    // Bootstrap offcanvas and modals trap focus, so the lightbox has to live inside them
+    const host =
+      (trigger && trigger.closest(".offcanvas, .modal")) || document.body;
+    if (lightbox.parentElement !== host) {
+      host.appendChild(lightbox);
+    }
+
+    lightboxImages = images;
+    lightboxLabels = Object.assign({}, DEFAULT_LABELS, labels);
+    returnFocusTo = trigger || document.activeElement;
+
+    lightbox.setAttribute("aria-label", images[0].caption || "");
+    lightbox
+      .querySelector("[data-lightbox-action='close']")
+      .setAttribute("aria-label", lightboxLabels.close);
+    lightbox
+      .querySelector("[data-lightbox-action='previous']")
+      .setAttribute("aria-label", lightboxLabels.previous);
+    lightbox
+      .querySelector("[data-lightbox-action='next']")
+      .setAttribute("aria-label", lightboxLabels.next);
+
+    show(Math.max(index, 0));
+    lightbox.classList.remove("d-none");
+    document.body.classList.add("image-lightbox-open");
+    lightbox.querySelector("[data-lightbox-action='close']").focus();
+  }
+
+  // Function to close the lightbox and return focus to the gallery
+  function close() {
+    if (!lightbox) return;
+
+    lightbox.classList.add("d-none");
+    document.body.classList.remove("image-lightbox-open");
+
+    if (returnFocusTo && document.body.contains(returnFocusTo)) {
+      returnFocusTo.focus();
+    }
+    returnFocusTo = null;
+  }
+
+  return {
+    render: render,
+    setup: setup,
+    open: open,
+    close: close,
+  };
+})();
@@ -0,0 +1,229 @@
+// Message catalogue for the map UI
+// Keys are shared by every language; "{name}" placeholders are filled in by t() in map.js.
+// Portuguese is the default and is used for any key missing from another language.
+window.mapMessages = {
+  pt: {
+    languageName: "Português",
+    language: "Idioma",
+    proposta: "Proposta",
+    viewFullProposta: "Ver Proposta Completa",
+    propostaImage: "Imagem da proposta {index}",
+    openImage: "Abrir imagem {index} de {count}",
+    closeImage: "Fechar imagem",
+    previousImage: "Imagem anterior",
+    nextImage: "Imagem seguinte",
+    imageUnavailable: "Imagem indisponível",
+    eixos: "Eixos",
+    showAll: "Mostrar Todos",
+    searchPlaceholder: "Pesquisar propostas...",
+    searchLabel: "Pesquisar propostas",
+    noResults: "Nenhuma proposta encontrada",
+    propostasAtLocation: "{count} propostas neste local",
+    overlapPosition: "Proposta {index} de {count} neste local",
+    previousOverlap: "Proposta sobreposta anterior",
+    nextOverlap: "Proposta sobreposta seguinte",
+    geometryPoint: "Ponto",
+    geometryLine: "Percurso",
+    geometryArea: "Área",
+    propostasCount: "{count} propostas",
+    zoomToFreguesia: "Aproximar",
+    openFreguesiaPage: "Abrir freguesia",
+    nearby: "Perto de mim",
+    nearbyTitle: "Propostas perto de mim",
+    nearbyIntro:
+      "Use a sua localização ou marque um ponto no mapa para ver as propostas mais próximas.",
+    nearLocation:
+      "Ordenadas pela distância a pé estimada a partir da sua localização.",
+    nearPin:
+      "Ordenadas pela distância a pé estimada a partir do ponto marcado.",
+    walkingDistance: "{distance} · {minutes} min",
+    locationUnavailable:
+      "Não foi possível obter a sua localização. Pode marcar um ponto no mapa.",
+    useMyLocation: "Usar a minha localização",
+    dropPin: "Marcar um ponto no mapa",
+    movePin: "Marcar outro ponto",
+    placePinHint: "Toque no mapa para marcar um ponto.",
+    cancel: "Cancelar",
+    backToNearby: "Propostas perto de mim",
+    tour: "Percurso",
+    tourTitle: "Percurso pelas propostas",
+    tourIntro:
+      "Visite as propostas uma a uma, pela ordem mais curta a partir da sua localização ou do centro do mapa.",
+    tourPropostas: "Propostas a visitar",
+    allPropostas: "Todas as propostas",
+    startTour: "Começar percurso",
+    endTour: "Terminar",
+    previousStop: "‹ Anterior",
+    nextStop: "Seguinte ›",
+    tourPosition: "Paragem {index} de {count}",
+    exportGpx: "Descarregar GPX",
+    exportGeoJSON: "Descarregar GeoJSON",
+    export: "Descarregar",
+    exportTitle: "Descarregar propostas",
+    exportIntro:
+      "Descarregue as propostas mostradas no mapa, com as suas propriedades e geometrias. O CSV inclui o centro de cada proposta.",
+    exportSearch: "pesquisa “{query}”",
+    exportInViewOnly: "Apenas as propostas na área visível do mapa",
+    print: "Imprimir",
+    printTitle: "Imprimir mapa",
+    printIntro:
+      "Crie um cartaz da vista atual do mapa, com a legenda, uma escala e um código QR para esta página.",
+    printTitleLabel: "Título",
+    printFormat: "Formato",
+    printFormat_poster: "Cartaz (PNG em alta resolução)",
+    printFormat_a4: "Página A4",
+    printFormat_a3: "Página A3",
+    portrait: "Vertical",
+    landscape: "Horizontal",
+    printPage: "Imprimir",
+    downloadPng: "Descarregar PNG",
+    printPreparing: "A preparar o mapa…",
+    printFailed: "Não foi possível preparar o mapa. Tente novamente.",
+    printSubtitle: "{count} propostas",
+    basemap: "Mapa de fundo",
+    basemap_light: "Claro",
+    basemap_dark: "Escuro",
+    basemap_satellite: "Satélite",
+    basemap_plain: "Simples",
+    basemap_local: "Básico (offline)",
+    mapError_webgl:
+      "O seu navegador não consegue mostrar o mapa. Pode consultar as propostas na lista.",
+    mapError_data:
+      "Não foi possível carregar as propostas no mapa. Pode consultá-las na lista.",
+    mapError_style:
+      "Não foi possível carregar o mapa. Pode consultar as propostas na lista.",
+    retry: "Tentar novamente",
+    list: "Lista",
+    listTitle: "Lista de propostas",
+    closeList: "Fechar lista",
+    shortlist: "Guardadas",
+    shortlistTitle: "Propostas guardadas",
+    shortlistIntro:
+      "As propostas que guardou neste navegador, assinaladas no mapa com um contorno vermelho.",
+    shortlistEmpty:
+      "Ainda não guardou nenhuma proposta. Use o botão Guardar nos detalhes de uma proposta.",
+    sharedShortlistTitle: "Lista partilhada",
+    sharedShortlistIntro: "Propostas partilhadas consigo através de uma ligação.",
+    saveProposta: "Guardar",
+    savedProposta: "Guardada",
+    removeFromShortlist: "Remover “{title}”",
+    saveAll: "Guardar todas",
+    showMyShortlist: "Ver as minhas guardadas",
+    showOnMap: "Ver no mapa",
+    printSummary: "Imprimir resumo",
+    copyLink: "Copiar ligação",
+    linkCopied: "Ligação copiada.",
+    shortlistPrintLink: "Veja esta lista no mapa:",
+  },
+  en: {
+    languageName: "English",
+    language: "Language",
+    proposta: "Proposal",
+    viewFullProposta: "View Full Proposal",
+    propostaImage: "Proposal image {index}",
+    openImage: "Open image {index} of {count}",
+    closeImage: "Close image",
+    previousImage: "Previous image",
+    nextImage: "Next image",
+    imageUnavailable: "Image unavailable",
+    eixos: "Categories",
+    showAll: "Show All",
+    searchPlaceholder: "Search proposals...",
+    searchLabel: "Search proposals",
+    noResults: "No proposals found",
+    propostasAtLocation: "{count} proposals at this location",
+    overlapPosition: "Proposal {index} of {count} at this location",
+    previousOverlap: "Previous overlapping proposal",
+    nextOverlap: "Next overlapping proposal",
+    geometryPoint: "Point",
+    geometryLine: "Route",
+    geometryArea: "Area",
+    propostasCount: "{count} proposals",
+    zoomToFreguesia: "Zoom in",
+    openFreguesiaPage: "Open parish",
+    nearby: "Near me",
+    nearbyTitle: "Proposals near me",
+    nearbyIntro:
+      "Use your location or drop a pin on the map to see the closest proposals.",
+    nearLocation: "Sorted by estimated walking distance from your location.",
+    nearPin: "Sorted by estimated walking distance from the pin.",
+    walkingDistance: "{distance} · {minutes} min",
+    locationUnavailable:
+      "Your location is not available. You can drop a pin on the map instead.",
+    useMyLocation: "Use my location",
+    dropPin: "Drop a pin on the map",
+    movePin: "Drop another pin",
+    placePinHint: "Tap the map to drop a pin.",
+    cancel: "Cancel",
+    backToNearby: "Proposals near me",
+    tour: "Tour",
+    tourTitle: "Tour of the proposals",
+    tourIntro:
+      "Visit the proposals one by one, in the shortest order from your location or the centre of the map.",
+    tourPropostas: "Proposals to visit",
+    allPropostas: "All proposals",
+    startTour: "Start tour",
+    endTour: "End",
+    previousStop: "‹ Previous",
+    nextStop: "Next ›",
+    tourPosition: "Stop {index} of {count}",
+    exportGpx: "Download GPX",
+    exportGeoJSON: "Download GeoJSON",
+    export: "Download",
+    exportTitle: "Download proposals",
+    exportIntro:
+      "Download the proposals shown on the map, with their properties and geometries. The CSV includes the centre of each proposal.",
+    exportSearch: "search “{query}”",
+    exportInViewOnly: "Only the proposals in the visible map area",
+    print: "Print",
+    printTitle: "Print map",
+    printIntro:
+      "Create a poster of the current map view, with the legend, a scale bar and a QR code to this page.",
+    printTitleLabel: "Title",
+    printFormat: "Format",
+    printFormat_poster: "Poster (high-resolution PNG)",
+    printFormat_a4: "A4 page",
+    printFormat_a3: "A3 page",
+    portrait: "Portrait",
+    landscape: "Landscape",
+    printPage: "Print",
+    downloadPng: "Download PNG",
+    printPreparing: "Preparing the map…",
+    printFailed: "The map could not be prepared. Please try again.",
+    printSubtitle: "{count} proposals",
+    basemap: "Basemap",
+    basemap_light: "Light",
+    basemap_dark: "Dark",
+    basemap_satellite: "Satellite",
+    basemap_plain: "Plain",
+    basemap_local: "Basic (offline)",
+    mapError_webgl:
+      "Your browser can't show the map. You can browse the proposals in the list.",
+    mapError_data:
+      "The proposals could not be loaded on the map. You can browse them in the list.",
+    mapError_style:
+      "The map could not be loaded. You can browse the proposals in the list.",
+    retry: "Try again",
+    list: "List",
+    listTitle: "List of proposals",
+    closeList: "Close list",
+    shortlist: "Saved",
+    shortlistTitle: "Saved proposals",
+    shortlistIntro:
+      "The proposals you saved in this browser, outlined in red on the map.",
+    shortlistEmpty:
+      "You haven't saved any proposals yet. Use the Save button in a proposal's details.",
+    sharedShortlistTitle: "Shared list",
+    sharedShortlistIntro: "Proposals shared with you through a link.",
+    saveProposta: "Save",
+    savedProposta: "Saved",
+    removeFromShortlist: "Remove “{title}”",
+    saveAll: "Save all",
+    showMyShortlist: "See my saved proposals",
+    showOnMap: "Show on map",
+    printSummary: "Print summary",
+    copyLink: "Copy link",
+    linkCopied: "Link copied.",
+    shortlistPrintLink: "See this list on the map:",
+  },
+};
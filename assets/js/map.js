@@ -3,15 +3,380 @@
 // instead of being hardcoded for Arroios. Each freguesia page defines its own map_center
 // coordinates as an array [lng, lat] in the front matter, which are passed through pageData.
 //
-// The automatic bounds fitting combines ALL border features from the PMTiles source since
-// complex freguesia geometries can be split across multiple vector tiles. This ensures
-// proper zoom level regardless of how the geometry is tiled in the PMTiles data.
-document.addEventListener("DOMContentLoaded", function () {
+// Propostas and border features are read from a JSON index generated next to the PMTiles
+// file (see scripts/prepare_pmtiles.rb). querySourceFeatures only returns features in the
+// tiles that are currently loaded, so deep links, search, counts and bounds fitting rely on
+// the index instead. If the index cannot be fetched we fall back to the loaded tiles.
+//
+// The selected proposta, camera, eixo filters and language are kept in the URL fragment
+// (e.g. "#map=15.20/38.72614/-9.13918&proposta=slug&eixo=Mobilidade") through the History
+// API, so links open exactly the same view. Legacy "#slug" links are still supported.
+//
+// The same script drives the citywide map (mapa.html), where pageData.freguesias lists
+// every freguesia: each tileset gets its own source and copies of the propostas layers,
+// and propostas are identified by "freguesia/feature_id" since feature ids are only unique
+// within a freguesia.
+//
+// On propostas listing pages (pageData.listing) it also drives the map shown next to the
+// cards: the page decides which propostas are shown through window.propostasMap, and the
+// map reports clicks, the propostas in view and points picked to sort by distance from as
+// "propostas:select", "propostas:view" and "propostas:point" events on the map container.
+// The details panel, controls and URL state are left out.
+// Listing pages only load this script when the map is first shown, after the page has
+// loaded, so it then starts straight away.
+(function (start) {
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", start);
+  } else {
+    start();
+  }
+})(function () {
   // Global variable to store eixo color mapping
   let eixoColorMapping = window.eixoColorMapping || {};
 
-  // Flag to prevent multiple initialization
-  let isDataInitialized = false;
+  // Safe rendering helpers, every feature property must go through these (see safe-html.js)
+  const { escapeHtml, formatRichText, isValidSlug, parseImageUrls } =
+    window.safeHtml;
+
+  // Accent-insensitive, typo-tolerant matching for the search control (see search.js)
+  const propostasSearch = window.propostasSearch;
+
+  // Propostas saved by the visitor, shared with the propostas pages (see shortlist.js)
+  const propostasShortlist = window.propostasShortlist;
+
+  // Complete propostas and border features, loaded once from the JSON index
+  let propostasIndex = null;
+
+  // Default language of the propostas content
+  const DEFAULT_LANGUAGE = "pt";
+
+  // Map state requested by the URL when the page was opened
+  const initialMapState = readMapStateFromUrl();
+
+  // Whether this is the citywide map showing every freguesia
+  const isCitywide = Array.isArray(window.pageData.freguesias);
+
+  // Whether this is the map next to the cards on a propostas listing page
+  const isListing = !!window.pageData.listing;
+
+  // Ids of the propostas shown as cards on a listing page, or null for all of them
+  let listingIds = null;
+
+  // Id of the proposta currently shown in the details panel (see getFeatureId)
+  let selectedSlug = null;
+
+  // Active language, kept in the URL so shared links open in the same language
+  let currentLanguage = getAvailableLanguages().includes(initialMapState.lang)
+    ? initialMapState.lang
+    : window.pageData.language || DEFAULT_LANGUAGE;
+
+  // Translated eixo names for the active language, keyed by the original eixo
+  let eixoLabels = {};
+
+  // Whether the URL is being kept in sync with the map (after initial load)
+  let isHistoryReady = false;
+
+  // Whether the details panel is closing because the browser moved through its history
+  // (back/forward), in which case closing it mustn't go back another entry
+  let isClosingFromHistory = false;
+
+  // Eixos currently selected in the legend filter (empty means show all)
+  const activeEixos = new Set();
+
+  // Number of propostas per eixo, shown next to each legend entry
+  let eixoCounts = {};
+
+  // Searchable entries built from the propostas features
+  let searchIndex = [];
+
+  // Maximum number of suggestions shown by the search control
+  const MAX_SEARCH_SUGGESTIONS = 8;
+
+  // How much a match in each field counts towards a search result's rank
+  const SEARCH_FIELD_WEIGHTS = { title: 10, name: 8, eixo: 3, sumario: 1 };
+
+  // Propostas overlapping at the last click, browsable from the details panel
+  let overlappingFeatures = [];
+  let overlappingIndex = 0;
+
+  // Popup used to choose between overlapping propostas
+  let overlapPopup = null;
+
+  // Hover previews only make sense with a mouse; touch devices keep tap-to-open
+  const canHover = window.matchMedia("(hover: hover) and (pointer: fine)")
+    .matches;
+
+  // Popup previewing the proposta under the mouse, and the feature it shows
+  let hoverPopup = null;
+  let hoveredFeatureKey = null;
+
+  // Maximum length of the sumario shown in hover previews
+  const HOVER_SUMMARY_LENGTH = 160;
+
+  // Layers that can be hovered and clicked, in priority order
+  const INTERACTIVE_LAYERS = [
+    "propostas-markers",
+    "propostas-linestrings",
+    "propostas-polygons-fill",
+  ];
+
+  // Feature states used to style propostas, in priority order
+  // "selected" is the proposta open in the panel, "hover" the one under the mouse,
+  // "highlighted" a group of propostas such as the current search results and "saved"
+  // the propostas in the visitor's shortlist
+  const FEATURE_STATES = ["selected", "hover", "highlighted", "saved"];
+
+  // Feature ids currently in each feature state, so they can be cleared again
+  const featureStateIds = {
+    selected: new Set(),
+    hover: new Set(),
+    highlighted: new Set(),
+    saved: new Set(),
+  };
+
+  // Colour of the ring around saved propostas
+  const SAVED_COLOR = "#ed4154";
+
+  // Message keys and icons used to describe each geometry type
+  const GEOMETRY_TYPE_LABELS = {
+    Point: { label: "geometryPoint", icon: "bi-geo-alt-fill" },
+    LineString: { label: "geometryLine", icon: "bi-bezier2" },
+    Polygon: { label: "geometryArea", icon: "bi-pentagon-fill" },
+  };
+
+  // Base geometry filters for each propostas layer, combined with the eixo filter
+  const PROPOSTAS_LAYER_FILTERS = {
+    "propostas-polygons-fill": ["==", ["geometry-type"], "Polygon"],
+    "propostas-polygons-outline": ["==", ["geometry-type"], "Polygon"],
+    "propostas-polygons-highlight": ["==", ["geometry-type"], "Polygon"],
+    "propostas-linestrings": ["==", ["geometry-type"], "LineString"],
+    "propostas-linestrings-highlight": ["==", ["geometry-type"], "LineString"],
+    // Markers come from the clustered points source, so skip the cluster bubbles
+    "propostas-markers": ["!", ["has", "point_count"]],
+    "propostas-markers-highlight": ["!", ["has", "point_count"]],
+  };
+
+  // Layers added once per tileset (see addTilesetLayers), the others use the points source
+  const TILESET_LAYERS = [
+    "freguesia-border-fill",
+    "freguesia-border-outline",
+    "propostas-polygons-fill",
+    "propostas-polygons-outline",
+    "propostas-polygons-highlight",
+    "propostas-linestrings-highlight",
+    "propostas-linestrings",
+  ];
+
+  // Popup with the name and links of a freguesia on the citywide map
+  let freguesiaPopup = null;
+
+  // Origin of the "perto de mim" list: the user's location or a dropped pin
+  // { lngLat: [lng, lat], source: "location" | "pin" }
+  let nearbyOrigin = null;
+
+  // Pin dropped by people who decline location permission, and whether the next
+  // map click places it
+  let nearbyPin = null;
+  let isPlacingPin = false;
+
+  // Whether the next location fix should open the nearby list
+  let openNearbyOnLocate = false;
+
+  // MapLibre geolocate control, which feeds the nearby list (not added on listing pages)
+  let geolocateControl = null;
+
+  // Nearby list settings: number of entries, distance moved before a tracking
+  // update refreshes the list, and the walking estimate (straight-line distance
+  // times a detour factor, at about 4.8 km/h)
+  const NEARBY_LIMIT = 20;
+  const NEARBY_UPDATE_DISTANCE = 25;
+  const WALKING_DETOUR_FACTOR = 1.3;
+  const WALKING_METERS_PER_MINUTE = 80;
+
+  // Guided tour through a set of propostas, in walking order
+  // { stops: [feature], index: number, name: string }
+  let tour = null;
+
+  // Whether exports only include the propostas inside the current map view
+  let exportInViewOnly = false;
+
+  // Feature ids of a shortlist opened from a shared link, shown instead of the
+  // visitor's own until they save it or go back to theirs
+  let sharedShortlistIds = null;
+
+  // Longest summary printed for each proposta of the shortlist
+  const SHORTLIST_PRINT_SUMMARY_LENGTH = 220;
+
+  // Properties used internally by the map, left out of exported data
+  const EXPORT_HIDDEN_PROPERTIES = ["feature_id", "state_id"];
+
+  // QR code library, only loaded the first time a QR code is drawn (see loadQrCodeLibrary)
+  const QR_CODE_SCRIPT_URL =
+    "https://unpkg.com/qrcode-generator@1.4.4/qrcode.js";
+  let qrCodeLibraryLoaded = null;
+
+  // Print output sizes in pixels (portrait), A4/A3 at 200 dpi
+  const PRINT_FORMATS = {
+    poster: { width: 2828, height: 4000 },
+    a4: { width: 1654, height: 2339, pageSize: "A4" },
+    a3: { width: 2339, height: 3307, pageSize: "A3" },
+  };
+
+  // Width in CSS pixels the printed map is laid out at, so labels keep the
+  // same size relative to the page whatever the output resolution
+  const PRINT_LAYOUT_WIDTH = 800;
+
+  // Longest the offscreen map may take to load its tiles
+  const PRINT_RENDER_TIMEOUT = 60000;
+
+  // Map view settings, overridden per page by the map_view front matter
+  const MAP_VIEW_DEFAULTS = {
+    // Zoom before the map fits the freguesia border
+    zoom: 14,
+    minZoom: 11,
+    maxZoom: 19,
+    // Closest zoom when fitting the border
+    fitMaxZoom: 14,
+    // Space around the border when fitting it, in pixels
+    padding: 50,
+    mobilePadding: 20,
+    bearing: 0,
+    // [[west, south], [east, north]], or false to allow panning anywhere
+    maxBounds: null,
+    // Without maxBounds, how far past the border the map can be panned, as a share of its size
+    maxBoundsMargin: 0.5,
+  };
+
+  const mapView = getMapViewSettings();
+
+  // Freguesias whose border comes this close, as a share of the border's size, are neighbours
+  const NEIGHBOUR_MARGIN = 0.05;
+
+  // Clustering settings for point propostas
+  const CLUSTER_MAX_ZOOM = 15;
+  const CLUSTER_RADIUS = 40;
+
+  // Function to translate a UI message, filling in "{name}" placeholders
+  function t(key, params = {}) {
+    const messages = window.mapMessages || {};
+    const catalogue = messages[currentLanguage] || {};
+    const fallback = messages[DEFAULT_LANGUAGE] || {};
+    const message = catalogue[key] || fallback[key] || key;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? params[name] : match,
+    );
+  }
+
+  // Function to list the languages with a tileset for this freguesia
+  function getAvailableLanguages() {
+    const translations = window.pageData.translations || {};
+    return [DEFAULT_LANGUAGE, ...Object.keys(translations)];
+  }
+
+  // Function to get the PMTiles and index URLs for a language
+  function getTileset(language) {
+    const translations = window.pageData.translations || {};
+    if (language !== DEFAULT_LANGUAGE && translations[language]) {
+      return translations[language];
+    }
+
+    return {
+      pmtilesUrl: window.pageData.pmtilesUrl,
+      indexUrl: window.pageData.indexUrl,
+    };
+  }
+
+  // Function to list the tilesets shown on the map: one per freguesia on the citywide map
+  function getTilesets() {
+    if (isCitywide) {
+      return window.pageData.freguesias.map((freguesia) => ({
+        freguesia: freguesia.slug,
+        sourceId: `pmtiles-source-${freguesia.slug}`,
+        layerSuffix: `-${freguesia.slug}`,
+        pmtilesUrl: freguesia.pmtilesUrl,
+        indexUrl: freguesia.indexUrl,
+      }));
+    }
+
+    const tileset = getTileset(currentLanguage);
+    return [
+      {
+        freguesia: window.pageData.freguesiaSlug,
+        sourceId: "pmtiles-source",
+        layerSuffix: "",
+        pmtilesUrl: tileset.pmtilesUrl,
+        indexUrl: tileset.indexUrl,
+      },
+    ];
+  }
+
+  // Helper function to find the tileset of a freguesia or a source
+  function findTileset(match) {
+    return getTilesets().find(
+      (tileset) => tileset.freguesia === match || tileset.sourceId === match,
+    );
+  }
+
+  // Function to get the ids of a layer for every tileset it was added to
+  function getLayerIds(baseId) {
+    if (!TILESET_LAYERS.includes(baseId)) {
+      return [baseId];
+    }
+
+    return getTilesets().map((tileset) => baseId + tileset.layerSuffix);
+  }
+
+  // Helper function to find the freguesia of a citywide map entry
+  function getFreguesia(slug) {
+    return (window.pageData.freguesias || []).find(
+      (freguesia) => freguesia.slug === slug,
+    );
+  }
+
+  // Helper function to get the id used for a proposta in feature states and links
+  // feature_id is the slug, or a hash of the placemark for propostas without one (see
+  // scripts/download_maps.rb). It is only unique within a freguesia, so the citywide
+  // map uses "freguesia/feature_id"
+  function getFeatureId(feature) {
+    const properties = feature.properties || {};
+    const featureId = properties["feature_id"] || properties["slug"];
+    if (!featureId) return null;
+
+    return isCitywide ? `${properties["freguesia"]}/${featureId}` : featureId;
+  }
+
+  // Helper function to split a feature id into its freguesia and feature_id
+  function splitFeatureId(id) {
+    if (!isCitywide) {
+      return { freguesia: window.pageData.freguesiaSlug, featureId: id };
+    }
+
+    const separator = id.indexOf("/");
+    return {
+      freguesia: id.substring(0, separator),
+      featureId: id.substring(separator + 1),
+    };
+  }
+
+  // Function to get the display name of an eixo in the active language
+  function getEixoLabel(eixo) {
+    return eixoLabels[eixo] || eixo;
+  }
+
+  // Function to collect translated eixo names from the propostas features
+  function buildEixoLabels(features) {
+    const labels = {};
+
+    features.forEach((feature) => {
+      const properties = feature.properties || {};
+      if (properties["eixo"] && properties["eixo_label"]) {
+        labels[properties["eixo"]] = properties["eixo_label"];
+      }
+    });
+
+    return labels;
+  }
 
   // Function to get eixo badge class
   function getEixoBadgeClass(eixo) {
@@ -47,77 +412,180 @@ document.addEventListener("DOMContentLoaded", function () {
     console.log(colorExpression);
 
     // Update polygon fill color (with lower opacity for better marker visibility)
-    map.setPaintProperty(
+    setLayersPaintProperty(
       "propostas-polygons-fill",
       "fill-color",
       colorExpression,
     );
-    map.setPaintProperty("propostas-polygons-fill", "fill-opacity", 0.25);
+    setLayersPaintProperty(
+      "propostas-polygons-fill",
+      "fill-opacity",
+      createFeatureStateExpression(
+        { selected: 0.45, hover: 0.35, highlighted: 0.35, saved: 0.35 },
+        0.25,
+      ),
+    );
 
     // Update polygon outline color
-    map.setPaintProperty(
+    setLayersPaintProperty(
       "propostas-polygons-outline",
       "line-color",
       colorExpression,
     );
-    map.setPaintProperty("propostas-polygons-outline", "line-opacity", 0.8);
+    setLayersPaintProperty("propostas-polygons-outline", "line-opacity", 0.8);
 
     // Update linestring color
-    map.setPaintProperty(
+    setLayersPaintProperty(
       "propostas-linestrings",
       "line-color",
       colorExpression,
     );
-    map.setPaintProperty("propostas-linestrings", "line-opacity", 0.8);
+    setLayersPaintProperty("propostas-linestrings", "line-opacity", 0.8);
 
     // Update marker color
-    map.setPaintProperty("propostas-markers", "circle-color", colorExpression);
-    map.setPaintProperty("propostas-markers", "circle-opacity", 0.9);
+    setLayersPaintProperty(
+      "propostas-markers",
+      "circle-color",
+      colorExpression,
+    );
+    setLayersPaintProperty("propostas-markers", "circle-opacity", 0.9);
 
     console.log("Updated map layer colors with eixo-based styling");
   }
+
+  // Helper function to set a paint property on every copy of a layer
+  function setLayersPaintProperty(baseId, property, value) {
+    getLayerIds(baseId).forEach((layerId) => {
+      map.setPaintProperty(layerId, property, value);
+    });
+  }
   // Initialize panel content from page templates
-  initializePanelContent();
+  if (!isListing) {
+    initializePanelContent();
+  }
   // Add PMTiles protocol
   let protocol = new pmtiles.Protocol();
   maplibregl.addProtocol("pmtiles", protocol.tile);
 
-  // Initialize the map
-  const MAPTILER_KEY = "BlScxjvw8WYk3TGxzgU8";
+  // Basemap styles from the site config, see basemaps in _config.yml
+  const availableBasemaps = (window.pageData && window.pageData.basemaps) || [];
+  const basemapFallback = window.pageData && window.pageData.basemapFallback;
+
+  // Remote basemap tile errors tolerated before switching to the self-hosted basemap
+  const BASEMAP_ERROR_LIMIT = 5;
 
+  let currentBasemap =
+    availableBasemaps.find(
+      (basemap) => basemap.id === window.pageData.basemap,
+    ) ||
+    availableBasemaps[0] ||
+    null;
+  let isUsingFallbackBasemap = !currentBasemap;
+  let isBasemapLoaded = false;
+  let basemapErrorCount = 0;
+
+  // Sources and layers of the basemap style, as opposed to the ones this file adds
+  let basemapSourceIds = new Set();
+  let basemapLayerIds = new Set();
+
+  // Error shown over the map, kept to translate it on language changes
+  let currentMapError = null;
+
+  // Without WebGL there is no map, so only show the list of propostas
+  if (!isWebglSupported()) {
+    showMapError("webgl");
+    return;
+  }
+
+  // Initialize the map
   const map = new maplibregl.Map({
     container: "map",
-    style: `https://api.maptiler.com/maps/positron/style.json?key=${MAPTILER_KEY}`,
+    style: currentBasemap
+      ? getBasemapStyle(currentBasemap)
+      : getFallbackBasemapStyle(),
     center:
       window.pageData && window.pageData.mapCenter
         ? window.pageData.mapCenter
         : [-9.13628, 38.72614], // Arroios fallback
-    zoom: 14,
+    zoom: mapView.zoom,
+    minZoom: mapView.minZoom,
+    maxZoom: mapView.maxZoom,
+    bearing: mapView.bearing,
+    maxBounds: mapView.maxBounds || null,
   });
 
-  // Add navigation control (the +/- zoom buttons)
-  map.addControl(new maplibregl.NavigationControl(), "top-right");
+  // Next to the cards the map only needs zooming, the page has its own search and filters
+  if (isListing) {
+    map.addControl(
+      new maplibregl.NavigationControl({ showCompass: false }),
+      "top-right",
+    );
+  } else {
+    // Add search control for finding propostas by name
+    map.addControl(createSearchControl(), "top-right");
+
+    // Add language switcher when the propostas are available in other languages
+    if (getAvailableLanguages().length > 1) {
+      map.addControl(createLanguageControl(), "top-right");
+    }
+
+    // Add navigation control (the +/- zoom buttons)
+    map.addControl(new maplibregl.NavigationControl(), "top-right");
 
-  // Add geolocate control
-  map.addControl(
-    new maplibregl.GeolocateControl({
+    // Add geolocate control, which also feeds the "perto de mim" list
+    geolocateControl = new maplibregl.GeolocateControl({
       positionOptions: {
         enableHighAccuracy: true,
       },
       trackUserLocation: true,
       showUserHeading: true,
-    }),
-    "top-right",
-  );
-
-  // Add scale control
-  map.addControl(
-    new maplibregl.ScaleControl({
-      maxWidth: 100,
-      unit: "metric",
-    }),
-    "bottom-left",
-  );
+    });
+    map.addControl(geolocateControl, "top-right");
+    setupNearbyMode();
+
+    // Add a button to show the propostas near the user or a dropped pin
+    map.addControl(createNearbyControl(), "top-right");
+
+    // Add a button to browse the propostas as a list, e.g. with a keyboard
+    map.addControl(createListControl(), "top-right");
+
+    // Add a button to plan a guided tour through the propostas
+    map.addControl(createTourControl(), "top-right");
+
+    // Add a button to download the propostas shown on the map
+    map.addControl(createExportControl(), "top-right");
+
+    // Add a button to print the current view as a poster
+    map.addControl(createPrintControl(), "top-right");
+
+    // Add a button to open the propostas the visitor has saved
+    map.addControl(createShortlistControl(), "top-right");
+
+    // Keep the export count in line with the map view when limited to it
+    map.on("moveend", function () {
+      if (exportInViewOnly) updateExportPanel();
+    });
+
+    // Add scale control
+    map.addControl(
+      new maplibregl.ScaleControl({
+        maxWidth: 100,
+        unit: "metric",
+      }),
+      "bottom-left",
+    );
+
+    // Add a switcher between the basemap styles
+    if (availableBasemaps.length > 1) {
+      map.addControl(createBasemapControl(), "bottom-left");
+    }
+  }
+
+  // Fall back to the self-hosted basemap when the remote one can't be loaded
+  setupBasemapFallback();
+
+  // Tell the user when the map or the propostas can't be shown
+  setupMapErrors();
 
   // Optional: Add a marker at the center
   // Uncomment the lines below to add a marker
@@ -129,8 +597,14 @@ document.addEventListener("DOMContentLoaded", function () {
   map.on("load", function () {
     console.log("Map loaded successfully!");
 
+    // Tell the basemap apart from the propostas layers added below
+    recordBasemapStyle(map.getStyle());
+
     // Load PMTiles data and add propostas layer
     loadPropostasLayer();
+
+    // Load the complete propostas index used by the legend, search and deep links
+    loadPropostasIndexes().then(initializePropostasData);
   });
 
   // Optional: Add click event listener
@@ -138,516 +612,4620 @@ document.addEventListener("DOMContentLoaded", function () {
   //   console.log("Map clicked at:", e.lngLat);
   // });
 
-  // Function to highlight feature by slug from URL anchor
-  function highlightFeatureBySlug(slug) {
-    if (!slug) return;
+  // Function to get the style of a basemap: a style URL, or "plain" for no basemap at all
+  function getBasemapStyle(basemap) {
+    if (basemap.style !== "plain") {
+      return basemap.style;
+    }
 
-    console.log(`Looking for feature with slug: ${slug}`);
+    return {
+      version: 8,
+      glyphs: basemapFallback && getSiteUrl(basemapFallback.glyphs),
+      sources: {},
+      layers: [
+        {
+          id: "background",
+          type: "background",
+          paint: { "background-color": "#f8f9fa" },
+        },
+      ],
+    };
+  }
 
-    // Query all propostas features to find the one with matching slug
-    const allFeatures = map.querySourceFeatures("pmtiles-source", {
-      sourceLayer: "propostas",
-    });
+  // Helper function to make a path on this site absolute, as MapLibre needs for glyphs and sprites
+  // new URL() isn't used because it would escape the {fontstack} and {range} placeholders
+  function getSiteUrl(path) {
+    if (!path || !path.startsWith("/") || path.startsWith("//")) {
+      return path;
+    }
 
-    const targetFeature = allFeatures.find(
-      (feature) => feature.properties.slug === slug,
-    );
+    return window.location.origin + path;
+  }
 
-    if (targetFeature) {
-      console.log(`Found feature with slug ${slug}:`, targetFeature);
+  // Function to build the self-hosted basemap style from a local PMTiles file
+  // Layers come from the Protomaps basemap styles, loaded as window.basemaps
+  function getFallbackBasemapStyle() {
+    if (!basemapFallback || !window.basemaps) {
+      console.warn("No self-hosted basemap available");
+      return getBasemapStyle({ style: "plain" });
+    }
 
-      // Remove previous selection styling
-      removeSelectionStyling();
+    return {
+      version: 8,
+      glyphs: getSiteUrl(basemapFallback.glyphs),
+      sprite: getSiteUrl(basemapFallback.sprite),
+      sources: {
+        protomaps: {
+          type: "vector",
+          url: "pmtiles://" + basemapFallback.pmtilesUrl,
+          attribution:
+            '<a href="https://protomaps.com">Protomaps</a> © <a href="https://openstreetmap.org/copyright">OpenStreetMap</a>',
+        },
+      },
+      layers: window.basemaps.layers(
+        "protomaps",
+        window.basemaps.namedFlavor(basemapFallback.flavor || "light"),
+        { lang: currentLanguage },
+      ),
+    };
+  }
 
-      // Highlight based on geometry type
-      const geometryType = targetFeature.geometry.type;
-      if (geometryType === "Point") {
-        highlightMarker(targetFeature);
-      } else if (
-        geometryType === "Polygon" ||
-        geometryType === "MultiPolygon"
-      ) {
-        highlightPolygon(targetFeature);
-      } else if (
-        geometryType === "LineString" ||
-        geometryType === "MultiLineString"
-      ) {
-        highlightLineString(targetFeature);
-      }
+  // Function to remember which sources and layers belong to the basemap
+  function recordBasemapStyle(style) {
+    basemapSourceIds = new Set(Object.keys(style.sources || {}));
+    basemapLayerIds = new Set((style.layers || []).map((layer) => layer.id));
+  }
 
-      // Center map on the feature
-      const bounds = new maplibregl.LngLatBounds();
-      const geometry = targetFeature.geometry;
+  // Function to swap the basemap, keeping the propostas sources and layers on top
+  function setBasemapStyle(style) {
+    isBasemapLoaded = false;
+    basemapErrorCount = 0;
 
-      if (geometry.type === "Point") {
-        bounds.extend(geometry.coordinates);
-        map.flyTo({
-          center: geometry.coordinates,
-          zoom: 17,
-          duration: 1500,
+    // Nothing has been added on top of the basemap before the map loads
+    if (basemapLayerIds.size === 0) {
+      map.setStyle(style);
+      return;
+    }
+
+    map.setStyle(style, {
+      transformStyle: (previous, next) => {
+        if (!previous) {
+          recordBasemapStyle(next);
+          return next;
+        }
+
+        const sources = Object.assign({}, next.sources);
+        Object.keys(previous.sources).forEach((sourceId) => {
+          if (!basemapSourceIds.has(sourceId)) {
+            sources[sourceId] = previous.sources[sourceId];
+          }
         });
-      } else if (geometry.type === "Polygon") {
-        geometry.coordinates[0].forEach((coord) => bounds.extend(coord));
-        map.fitBounds(bounds, { padding: 50, duration: 1500 });
-      } else if (geometry.type === "MultiPolygon") {
-        geometry.coordinates.forEach((polygon) => {
-          polygon[0].forEach((coord) => bounds.extend(coord));
+        const layers = previous.layers.filter(
+          (layer) => !basemapLayerIds.has(layer.id),
+        );
+
+        recordBasemapStyle(next);
+
+        return Object.assign({}, next, {
+          // The propostas labels need glyphs even if the basemap has none
+          glyphs: next.glyphs || previous.glyphs,
+          sources: sources,
+          layers: next.layers.concat(layers),
         });
-        map.fitBounds(bounds, { padding: 50, duration: 1500 });
-      } else if (geometry.type === "LineString") {
-        geometry.coordinates.forEach((coord) => bounds.extend(coord));
-        map.fitBounds(bounds, { padding: 50, duration: 1500 });
-      }
+      },
+    });
 
-      // Show panel with feature details
-      const panelContent = createPanelContent(targetFeature.properties);
-      showPanelWithContent(panelContent);
-    } else {
-      console.log(`No feature found with slug: ${slug}`);
-    }
+    // A full style reload drops the feature states, so set them again
+    map.once("idle", restoreFeatureStates);
+  }
+
+  // Helper function to set the selection, hover and highlight states again
+  function restoreFeatureStates() {
+    FEATURE_STATES.forEach((stateName) => {
+      featureStateIds[stateName].forEach((id) => {
+        setFeatureIdState(id, { [stateName]: true });
+      });
+    });
   }
 
-  // Function to check URL anchor and highlight corresponding feature
-  function checkUrlAnchorAndHighlight() {
-    const hash = window.location.hash;
-    if (hash && hash.length > 1) {
-      const slug = hash.substring(1); // Remove the # character
-      highlightFeatureBySlug(slug);
+  // Function to switch to one of the configured basemaps
+  function switchBasemap(id) {
+    const basemap = availableBasemaps.find((option) => option.id === id);
+    if (!basemap || (basemap === currentBasemap && !isUsingFallbackBasemap)) {
+      return;
     }
+
+    console.log(`Switching basemap to ${id}`);
+    currentBasemap = basemap;
+    isUsingFallbackBasemap = false;
+    setBasemapStyle(getBasemapStyle(basemap));
+    updateBasemapControl();
   }
 
-  // Function to load propostas layer from PMTiles
-  function loadPropostasLayer() {
-    // Add PMTiles source
-    map.addSource("pmtiles-source", {
-      type: "vector",
-      url: "pmtiles://" + window.pageData.pmtilesUrl,
-    });
+  // Function to switch to the self-hosted basemap, once
+  function useFallbackBasemap(reason) {
+    if (isUsingFallbackBasemap) return;
 
-    // Add Freguesia border outline
-    map.addLayer({
-      id: "freguesia-border-outline",
-      type: "line",
-      source: "pmtiles-source",
-      "source-layer": "border",
-      paint: {
-        "line-color": "#3dadbc",
-        "line-width": 3,
-        "line-opacity": 0.8,
-      },
-    });
+    console.warn("Switching to the self-hosted basemap:", reason);
+    isUsingFallbackBasemap = true;
+    setBasemapStyle(getFallbackBasemapStyle());
+    updateBasemapControl();
+  }
 
-    // Add propostas layer for polygon geometries (fill) - render first so markers appear on top
-    map.addLayer({
-      id: "propostas-polygons-fill",
-      type: "fill",
-      source: "pmtiles-source",
-      "source-layer": "propostas",
-      filter: ["==", ["geometry-type"], "Polygon"],
-      paint: {
-        "fill-color": "#3b82f6",
-        "fill-opacity": 0.3,
-      },
+  // Function to watch the remote basemap for errors and fall back when it fails
+  // The style failing to load, or its tiles being refused (e.g. rate limited), switch right away
+  function setupBasemapFallback() {
+    map.on("style.load", function () {
+      isBasemapLoaded = true;
     });
 
-    // Add propostas layer for polygon geometries (outline)
-    map.addLayer({
-      id: "propostas-polygons-outline",
-      type: "line",
-      source: "pmtiles-source",
-      "source-layer": "propostas",
-      filter: ["==", ["geometry-type"], "Polygon"],
-      paint: {
-        "line-color": "#3b82f6",
-        "line-width": 2,
-        "line-opacity": 0.9,
-      },
-    });
+    map.on("error", function (e) {
+      const status = e.error && e.error.status;
 
-    // Add propostas layer for LineString geometries
-    map.addLayer({
-      id: "propostas-linestrings",
-      type: "line",
-      source: "pmtiles-source",
-      "source-layer": "propostas",
-      filter: ["==", ["geometry-type"], "LineString"],
-      paint: {
-        "line-color": "#3b82f6",
-        "line-width": 4,
-        "line-opacity": 0.8,
-      },
-    });
+      if (isUsingFallbackBasemap) {
+        if (!isBasemapLoaded && !e.sourceId) {
+          showMapError("style");
+        } else if (e.sourceId === "protomaps" && !e.tile) {
+          // The self-hosted basemap hasn't been built, go without one
+          console.warn("Self-hosted basemap unavailable:", e.error);
+          setBasemapStyle(getBasemapStyle({ style: "plain" }));
+        }
+        return;
+      }
 
-    // Add propostas layer for point geometries (circles/markers) - render last so they appear on top
-    map.addLayer({
-      id: "propostas-markers",
-      type: "circle",
-      source: "pmtiles-source",
-      "source-layer": "propostas",
-      filter: ["==", ["geometry-type"], "Point"],
-      paint: {
-        "circle-radius": 8,
-        "circle-color": "#3b82f6",
-        "circle-stroke-color": "#ffffff",
-        "circle-stroke-width": 2,
-        "circle-opacity": 0.9,
-      },
-    });
+      // Errors without a source come from loading the style itself
+      if (!isBasemapLoaded && !e.sourceId) {
+        useFallbackBasemap(e.error);
+        return;
+      }
 
-    // Add hover effects for markers
-    map.on("mouseenter", "propostas-markers", () => {
-      map.getCanvas().style.cursor = "pointer";
-    });
+      if (!e.sourceId || !basemapSourceIds.has(e.sourceId)) return;
 
-    map.on("mouseleave", "propostas-markers", () => {
-      map.getCanvas().style.cursor = "";
+      basemapErrorCount++;
+      if (
+        [401, 403, 429].includes(status) ||
+        basemapErrorCount >= BASEMAP_ERROR_LIMIT
+      ) {
+        useFallbackBasemap(e.error);
+      }
     });
+  }
 
-    // Add hover effects for polygons
-    map.on("mouseenter", "propostas-polygons-fill", () => {
-      map.getCanvas().style.cursor = "pointer";
-    });
+  // Function to check that the browser can render the map
+  function isWebglSupported() {
+    try {
+      const canvas = document.createElement("canvas");
+      return !!(
+        window.WebGLRenderingContext &&
+        (canvas.getContext("webgl2") || canvas.getContext("webgl"))
+      );
+    } catch (error) {
+      return false;
+    }
+  }
 
-    map.on("mouseleave", "propostas-polygons-fill", () => {
-      map.getCanvas().style.cursor = "";
+  // Function to watch for failures that leave the map or the propostas blank
+  function setupMapErrors() {
+    map.on("webglcontextlost", function () {
+      showMapError("webgl");
     });
 
-    // Add hover effects for linestrings
-    map.on("mouseenter", "propostas-linestrings", () => {
-      map.getCanvas().style.cursor = "pointer";
+    map.on("error", function (e) {
+      // A missing tile is not fatal, a PMTiles file that can't be read is
+      if (e.sourceId && findTileset(e.sourceId) && !e.tile) {
+        console.error("Error loading the propostas:", e.error);
+        showMapError("data");
+      }
     });
+  }
 
-    map.on("mouseleave", "propostas-linestrings", () => {
-      map.getCanvas().style.cursor = "";
-    });
+  // Function to show a translated error over the map, with a retry button
+  // The propostas are listed instead, so they can still be reached
+  function showMapError(type) {
+    currentMapError = type;
+    updateMapError();
 
-    // Auto-focus map on Freguesia border when data loads
-    map.on("sourcedata", function (e) {
-      if (
-        e.sourceId === "pmtiles-source" &&
-        e.isSourceLoaded &&
-        !isDataInitialized
-      ) {
-        isDataInitialized = true;
+    const fallback = document.getElementById("mapFallback");
+    if (fallback) {
+      fallback.classList.remove("d-none");
+    }
+  }
 
-        // Create eixo color mapping from propostas features
-        const propostasFeatures = map.querySourceFeatures("pmtiles-source", {
-          sourceLayer: "propostas",
-        });
-        console.log("Found", propostasFeatures.length, "propostas features");
+  // Function to render the map error banner in the current language
+  function updateMapError() {
+    const banner = document.getElementById("mapError");
+    if (!banner || !currentMapError) return;
 
-        // Update map layer colors with eixo-based styling
-        updateLayerColorsWithEixo();
+    banner.innerHTML = `
+      <div class="small mb-2">${t(`mapError_${currentMapError}`)}</div>
+      <button type="button" class="btn btn-sm btn-warning" data-map-retry>
+        ${t("retry")}
+      </button>
+    `;
+    banner.classList.remove("d-none");
+
+    banner
+      .querySelector("[data-map-retry]")
+      .addEventListener("click", function () {
+        window.location.reload();
+      });
+  }
+
+  // Helper function to get the translated name of a basemap
+  function getBasemapLabel(basemap) {
+    const key = `basemap_${basemap.id}`;
+    const label = t(key);
+    return label === key ? basemap.name || basemap.id : label;
+  }
+
+  // Function to create the basemap switcher control
+  function createBasemapControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group basemap-switcher";
+        container.innerHTML = `<select class="form-select form-select-sm"></select>`;
+
+        container
+          .querySelector("select")
+          .addEventListener("change", function (e) {
+            switchBasemap(e.target.value);
+          });
+
+        updateBasemapControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to translate the basemap switcher and reflect the active basemap
+  function updateBasemapControl(container) {
+    const control = container || document.querySelector(".basemap-switcher");
+    if (!control) return;
+
+    const options = availableBasemaps.map((basemap) => ({
+      id: basemap.id,
+      label: getBasemapLabel(basemap),
+    }));
+
+    // The self-hosted basemap is only listed while it is in use
+    if (isUsingFallbackBasemap) {
+      options.push({ id: "local", label: t("basemap_local") });
+    }
+
+    const activeId = isUsingFallbackBasemap ? "local" : currentBasemap.id;
+    const select = control.querySelector("select");
+    select.setAttribute("aria-label", t("basemap"));
+    select.innerHTML = options
+      .map(
+        (option) =>
+          `<option value="${escapeHtml(option.id)}" ${option.id === activeId ? "selected" : ""}>${escapeHtml(option.label)}</option>`,
+      )
+      .join("");
+  }
+
+  // Function to highlight feature by slug from URL anchor
+  function highlightFeatureBySlug(slug, options) {
+    if (!slug) return;
+
+    console.log(`Looking for feature with slug: ${slug}`);
+
+    if (!propostasIndex) {
+      console.log("Propostas index not loaded yet");
+      return;
+    }
+
+    const targetFeature = propostasIndex.propostas.find(
+      (feature) => getFeatureId(feature) === slug,
+    );
+
+    if (targetFeature) {
+      console.log(`Found feature with slug ${slug}:`, targetFeature);
+      highlightFeature(targetFeature, options);
+    } else {
+      console.log(`No feature found with slug: ${slug}`);
+    }
+  }
+
+  // Function to highlight a feature, fly to it and show its details
+  function highlightFeature(targetFeature, options = {}) {
+    const { moveCamera = true } = options;
+
+    selectFeature(targetFeature, options);
+
+    if (moveCamera) {
+      flyToFeature(targetFeature);
+    }
+  }
+
+  // Function to highlight a feature and show its details without moving the map
+  function selectFeature(targetFeature, options = {}) {
+    const { updateHistory = true, overlapping = null } = options;
+
+    // Remember the other propostas at the clicked location, if any
+    if (overlapping && overlapping.length > 1) {
+      overlappingFeatures = overlapping;
+      overlappingIndex = overlapping.indexOf(targetFeature);
+    } else {
+      overlappingFeatures = [];
+      overlappingIndex = 0;
+    }
+
+    // Highlight every part of the proposta, whatever its geometry
+    const slug = getFeatureId(targetFeature);
+    setFeatureStateIds("selected", slug ? [slug] : []);
+    updateListSelection(slug);
+
+    // On a listing page the proposta's card takes the place of the details panel
+    if (isListing) {
+      selectedSlug = slug;
+      dispatchListingEvent("select", { id: slug });
+      return;
+    }
+
+    if (updateHistory) {
+      recordSelection(slug);
+    } else {
+      selectedSlug = slug;
+    }
+
+    // Show panel with feature details
+    const panelContent = createPanelContent(targetFeature.properties);
+    showPanelWithContent(
+      createNearbyBackLink() + createOverlapNavigation() + panelContent,
+    );
+    setupOverlapNavigation();
+    setupNearbyBackLink();
+  }
+
+  // Function to center the map on a feature
+  function flyToFeature(targetFeature) {
+    const bounds = new maplibregl.LngLatBounds();
+    const geometry = targetFeature.geometry;
+
+    if (geometry.type === "Point") {
+      bounds.extend(geometry.coordinates);
+      map.flyTo({
+        center: geometry.coordinates,
+        zoom: 17,
+        duration: 1500,
+      });
+    } else if (geometry.type === "Polygon") {
+      geometry.coordinates[0].forEach((coord) => bounds.extend(coord));
+      map.fitBounds(bounds, { padding: 50, duration: 1500 });
+    } else if (geometry.type === "MultiPolygon") {
+      geometry.coordinates.forEach((polygon) => {
+        polygon[0].forEach((coord) => bounds.extend(coord));
+      });
+      map.fitBounds(bounds, { padding: 50, duration: 1500 });
+    } else if (geometry.type === "LineString") {
+      geometry.coordinates.forEach((coord) => bounds.extend(coord));
+      map.fitBounds(bounds, { padding: 50, duration: 1500 });
+    }
+  }
+
+  // Function to read the map state from the URL fragment
+  // Supports legacy "#slug" links as well as
+  // "#map=zoom/lat/lng&proposta=slug&eixo=...&eixo=...&lang=en", and shared
+  // shortlists as "lista=id,id,..."
+  function readMapStateFromUrl() {
+    const state = {
+      slug: null,
+      zoom: null,
+      center: null,
+      eixos: [],
+      lang: null,
+      shortlist: [],
+    };
+
+    const hash = window.location.hash.substring(1);
+    if (!hash) return state;
+
+    if (!hash.includes("=")) {
+      state.slug = decodeURIComponent(hash);
+      return state;
+    }
+
+    const params = new URLSearchParams(hash);
+    state.slug = params.get("proposta");
+    state.eixos = params.getAll("eixo");
+    state.lang = params.get("lang");
+    state.shortlist = (params.get("lista") || "").split(",").filter(Boolean);
+
+    const camera = (params.get("map") || "").split("/").map(Number);
+    if (camera.length === 3 && camera.every(Number.isFinite)) {
+      state.zoom = camera[0];
+      state.center = [camera[2], camera[1]];
+    }
+
+    return state;
+  }
+
+  // Function to capture the current map state
+  function getCurrentMapState() {
+    const center = map.getCenter();
+    return {
+      slug: selectedSlug,
+      zoom: map.getZoom(),
+      center: [center.lng, center.lat],
+      eixos: Array.from(activeEixos),
+      lang: currentLanguage,
+    };
+  }
+
+  // Function to build the URL for a map state
+  function buildMapStateUrl(state) {
+    const params = new URLSearchParams();
+    if (state.slug) params.set("proposta", state.slug);
+    state.eixos.forEach((eixo) => params.append("eixo", eixo));
+    if (state.lang && state.lang !== DEFAULT_LANGUAGE) {
+      params.set("lang", state.lang);
+    }
+    if (state.shortlist && state.shortlist.length > 0) {
+      params.set("lista", state.shortlist.join(","));
+    }
+
+    // Built by hand so URLSearchParams doesn't encode the slashes
+    const camera = `map=${state.zoom.toFixed(2)}/${state.center[1].toFixed(5)}/${state.center[0].toFixed(5)}`;
+    const query = params.toString();
+
+    return `${window.location.pathname}${window.location.search}#${camera}${query ? `&${query}` : ""}`;
+  }
+
+  // Function to add a new history entry for the current map state
+  function pushMapState() {
+    if (!isHistoryReady) return;
+
+    const state = getCurrentMapState();
+    history.pushState(
+      { mapState: state, pushed: true },
+      "",
+      buildMapStateUrl(state),
+    );
+  }
+
+  // Function to update the current history entry with the current map state
+  function replaceMapState() {
+    if (!isHistoryReady) return;
+
+    const state = getCurrentMapState();
+    const pushed = !!(history.state && history.state.pushed);
+    history.replaceState(
+      { mapState: state, pushed: pushed },
+      "",
+      buildMapStateUrl(state),
+    );
+  }
+
+  // Function to record the selected proposta in the browser history
+  // Opening a proposta pushes a new entry, while switching to another one with
+  // the panel already open replaces it. Closing the panel pops the entry, which
+  // returns to the map as it was before the panel was opened.
+  function recordSelection(slug) {
+    const previousSlug = selectedSlug;
+    selectedSlug = slug;
+
+    if (previousSlug) {
+      replaceMapState();
+    } else if (selectedSlug) {
+      pushMapState();
+    }
+  }
+
+  // Function to restore a map state from the URL or browser history
+  function applyMapState(state) {
+    const hasCamera = state.zoom !== null && state.center !== null;
+
+    if (state.lang && state.lang !== currentLanguage) {
+      switchLanguage(state.lang);
+    }
+
+    // Only keep eixos that exist in this freguesia
+    activeEixos.clear();
+    state.eixos
+      .filter((eixo) => eixoColorMapping[eixo])
+      .forEach((eixo) => activeEixos.add(eixo));
+    applyEixoFilter();
+
+    if (hasCamera) {
+      map.jumpTo({ center: state.center, zoom: state.zoom });
+    }
+
+    if (state.slug) {
+      highlightFeatureBySlug(state.slug, {
+        updateHistory: false,
+        moveCamera: !hasCamera,
+      });
+    } else {
+      selectedSlug = null;
+      removeSelectionStyling();
+      if (hideDetailsPanel()) {
+        isClosingFromHistory = true;
+      }
+    }
+  }
+
+  // Function to restore the map state from the URL once the index has loaded
+  function restoreInitialMapState() {
+    // A listing page keeps its own state in the URL, so just show the freguesia
+    if (isListing) {
+      fitMapToBorder(propostasIndex.border);
+      applyEixoFilter();
+      updateSavedFeatures();
+      notifyListingView();
+      return;
+    }
+
+    const hasCamera =
+      initialMapState.zoom !== null && initialMapState.center !== null;
+
+    if (!hasCamera) {
+      // Auto-focus map on Freguesia border
+      fitMapToBorder(propostasIndex.border);
+    }
+
+    // Applied after fitting the border so the feature's camera move wins
+    applyMapState(initialMapState);
+    updateSavedFeatures();
+
+    // Open a shortlist shared through a link
+    if (initialMapState.shortlist.length > 0) {
+      sharedShortlistIds = initialMapState.shortlist;
+      showShortlistPanel();
+      fitMapToFeatures(getShortlistFeatures(sharedShortlistIds));
+    }
+
+    isHistoryReady = true;
+    replaceMapState();
+
+    // Keep the camera position of the current entry up to date
+    map.on("moveend", replaceMapState);
+  }
+
+  // Function to load and combine the propostas indexes of every tileset
+  function loadPropostasIndexes() {
+    return Promise.all(getTilesets().map(loadPropostasIndex)).then(
+      (indexes) => ({
+        propostas: indexes.flatMap((index) => index.propostas),
+        border: indexes.flatMap((index) => index.border),
+        isPartial: indexes.some((index) => index.isPartial),
+      }),
+    );
+  }
+
+  // Function to load the complete propostas index of a tileset from its JSON sidecar
+  function loadPropostasIndex(tileset) {
+    return fetch(tileset.indexUrl)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} for ${response.url}`);
+        }
+        return response.json();
+      })
+      .then((data) => ({
+        propostas: data.propostas ? data.propostas.features : [],
+        border: data.border ? data.border.features : [],
+      }))
+      .catch((error) => {
+        console.warn(
+          "Could not load propostas index, falling back to loaded tiles:",
+          error,
+        );
+        return loadIndexFromSourceFeatures(tileset.sourceId);
+      })
+      .then((index) => {
+        tagIndexFeatures(index.propostas, tileset);
+        tagIndexFeatures(index.border, tileset);
+        return index;
+      });
+  }
+
+  // Helper function to record which freguesia each index feature belongs to
+  // state_id is promoted to the points source id, so feature states can target it
+  function tagIndexFeatures(features, tileset) {
+    features.forEach((feature) => {
+      feature.properties = feature.properties || {};
+      feature.properties["freguesia"] =
+        feature.properties["freguesia"] || tileset.freguesia;
+      feature.properties["state_id"] = getFeatureId(feature);
+    });
+  }
+
+  // Fallback to build the index from the tiles loaded in the current viewport
+  // Tile features are clipped at tile edges, so the result is marked as partial
+  function loadIndexFromSourceFeatures(sourceId) {
+    return new Promise((resolve) => {
+      function resolveFromSource() {
+        resolve({
+          isPartial: true,
+          propostas: map.querySourceFeatures(sourceId, {
+            sourceLayer: "propostas",
+          }),
+          border: map.querySourceFeatures(sourceId, {
+            sourceLayer: "border",
+          }),
+        });
+      }
+
+      if (map.isSourceLoaded(sourceId)) {
+        resolveFromSource();
+        return;
+      }
+
+      map.on("sourcedata", function onSourceData(e) {
+        if (e.sourceId === sourceId && e.isSourceLoaded) {
+          map.off("sourcedata", onSourceData);
+          resolveFromSource();
+        }
+      });
+    });
+  }
+
+  // Function to set up the legend, search, deep links and bounds from the index
+  function initializePropostasData(index) {
+    propostasIndex = index;
+
+    const propostasFeatures = index.propostas;
+    console.log("Found", propostasFeatures.length, "propostas features");
+
+    // Translated eixo names for the legend and badges
+    eixoLabels = buildEixoLabels(propostasFeatures);
+
+    // Count propostas per eixo for the legend filter
+    eixoCounts = countPropostasByEixo(propostasFeatures);
+
+    // Index propostas for the search control
+    searchIndex = buildSearchIndex(propostasFeatures);
+
+    // Load point propostas into the clustered source
+    updatePointsSource();
+
+    // Update map layer colors with eixo-based styling
+    updateLayerColorsWithEixo();
+
+    // Add eixo legend to info panel
+    addEixoLegendToInfoPanel();
+
+    // Label each freguesia with its number of propostas
+    updateFreguesiaLabels();
+
+    // Focus on the freguesia: dim the rest of the city and show its neighbours
+    // Needs the whole border, which clipped tile features don't give
+    if (!isCitywide && !index.isPartial) {
+      addBorderMask();
+      restrictPanningToBorder();
+      loadNeighbourBorders();
+    }
+
+    // List the propostas for keyboard and screen reader users
+    renderListView();
+
+    // Restore the view, filters and selection requested by the URL
+    restoreInitialMapState();
+  }
+
+  // Function to read the map view settings of the page, using the defaults for unset ones
+  function getMapViewSettings() {
+    const settings = Object.assign({}, MAP_VIEW_DEFAULTS);
+    const pageSettings = (window.pageData && window.pageData.mapView) || {};
+
+    Object.keys(pageSettings).forEach((key) => {
+      if (pageSettings[key] !== null && pageSettings[key] !== undefined) {
+        settings[key] = pageSettings[key];
+      }
+    });
+
+    return settings;
+  }
+
+  // Helper function to get the padding to fit the border with, for the current layout
+  function getFitPadding() {
+    const isMobile = window.matchMedia("(max-width: 768px)").matches;
+    const padding = isMobile ? mapView.mobilePadding : mapView.padding;
+    const fitPadding = {
+      top: padding,
+      right: padding,
+      bottom: padding,
+      left: padding,
+    };
+
+    fitPadding.top += getHeaderOffset();
+
+    return fitPadding;
+  }
+
+  // Helper function to get how far the header reaches into the map
+  // On desktop the header floats over the top of the map; on mobile it sits above it
+  function getHeaderOffset() {
+    const header = document.querySelector(".map-header");
+    if (!header || getComputedStyle(header).position !== "absolute") {
+      return 0;
+    }
+
+    return (
+      header.getBoundingClientRect().bottom -
+      map.getContainer().getBoundingClientRect().top
+    );
+  }
+
+  // Function to fit the map to the freguesia border features
+  // Uses the complete border geometry from the index, not just the loaded tiles
+  function fitMapToBorder(freguesiaFeatures) {
+    console.log(
+      `Found ${freguesiaFeatures.length} border features for ${window.pageData?.freguesiaSlug}`,
+    );
+
+    const bounds = getPolygonsBounds(freguesiaFeatures);
+    if (!bounds) {
+      return;
+    }
+
+    const fitOptions = {
+      padding: getFitPadding(),
+      maxZoom: mapView.fitMaxZoom,
+      bearing: mapView.bearing,
+      duration: 1500,
+    };
+
+    console.log(`Applying fitBounds with options:`, fitOptions);
+    map.fitBounds(bounds, fitOptions);
+  }
+
+  // Helper function to get the cluster property name counting an eixo
+  function getClusterEixoProperty(eixo) {
+    return `eixo_${Object.keys(eixoColorMapping).sort().indexOf(eixo)}`;
+  }
+
+  // Function to create cluster properties counting the points of each eixo
+  function createClusterProperties() {
+    const properties = {};
+
+    Object.keys(eixoColorMapping).forEach((eixo) => {
+      properties[getClusterEixoProperty(eixo)] = [
+        "+",
+        ["case", ["==", ["get", "eixo"], eixo], 1, 0],
+      ];
+    });
+
+    return properties;
+  }
+
+  // Function to create a color expression picking a cluster's most common eixo
+  function createClusterColorExpression() {
+    const eixos = Object.keys(eixoColorMapping).sort();
+    if (eixos.length === 0) {
+      return "#3b82f6";
+    }
+
+    const expression = ["case"];
+
+    eixos.forEach((eixo) => {
+      const count = ["get", getClusterEixoProperty(eixo)];
+      const isDominant = [
+        "all",
+        ...eixos
+          .filter((other) => other !== eixo)
+          .map((other) => [">=", count, ["get", getClusterEixoProperty(other)]]),
+      ];
+
+      expression.push(isDominant, eixoColorMapping[eixo].color);
+    });
+
+    // Default fallback color
+    expression.push("#3b82f6");
+
+    return expression;
+  }
+
+  // Function to load the point propostas matching the eixo filter into the clustered source
+  // Clusters are computed from the source data, so filtering the layer is not enough
+  function updatePointsSource() {
+    const source = map.getSource("propostas-points");
+    if (!source || !propostasIndex) return;
+
+    const points = propostasIndex.propostas.filter(
+      (feature) =>
+        feature.geometry &&
+        feature.geometry.type === "Point" &&
+        (activeEixos.size === 0 ||
+          activeEixos.has(feature.properties["eixo"])) &&
+        (!listingIds || listingIds.has(getFeatureId(feature))),
+    );
+
+    source.setData({ type: "FeatureCollection", features: points });
+  }
+
+  // Function to zoom in far enough to split a cluster
+  function expandCluster(clusterFeature) {
+    map
+      .getSource("propostas-points")
+      .getClusterExpansionZoom(clusterFeature.properties.cluster_id)
+      .then((zoom) => {
+        map.easeTo({
+          center: clusterFeature.geometry.coordinates,
+          zoom: zoom,
+        });
+      });
+  }
+
+  // Function to load propostas layer from PMTiles
+  function loadPropostasLayer() {
+    // Add a PMTiles source per tileset
+    // feature_id is the stable feature id used for selection and hover states
+    getTilesets().forEach((tileset) => {
+      map.addSource(tileset.sourceId, {
+        type: "vector",
+        url: "pmtiles://" + tileset.pmtilesUrl,
+        promoteId: { propostas: "feature_id" },
+      });
+    });
+
+    // Add a clickable area for each freguesia on the citywide map
+    if (isCitywide) {
+      addTilesetLayers({
+        id: "freguesia-border-fill",
+        type: "fill",
+        "source-layer": "border",
+        paint: {
+          "fill-color": "#3dadbc",
+          "fill-opacity": 0.05,
+        },
+      });
+    }
+
+    // Add Freguesia border outline
+    addTilesetLayers({
+      id: "freguesia-border-outline",
+      type: "line",
+      "source-layer": "border",
+      paint: {
+        "line-color": "#3dadbc",
+        "line-width": 3,
+        "line-opacity": 0.8,
+      },
+    });
+
+    // Add propostas layer for polygon geometries (fill) - render first so markers appear on top
+    addTilesetLayers({
+      id: "propostas-polygons-fill",
+      type: "fill",
+      "source-layer": "propostas",
+      filter: PROPOSTAS_LAYER_FILTERS["propostas-polygons-fill"],
+      paint: {
+        "fill-color": "#3b82f6",
+        "fill-opacity": createFeatureStateExpression(
+          { selected: 0.45, hover: 0.35, highlighted: 0.35, saved: 0.35 },
+          0.3,
+        ),
+      },
+    });
+
+    // Add propostas layer for polygon geometries (outline)
+    addTilesetLayers({
+      id: "propostas-polygons-outline",
+      type: "line",
+      "source-layer": "propostas",
+      filter: PROPOSTAS_LAYER_FILTERS["propostas-polygons-outline"],
+      paint: {
+        "line-color": "#3b82f6",
+        "line-width": 2,
+        "line-opacity": 0.9,
+      },
+    });
+
+    // Add selection, hover and group highlight for polygons
+    addTilesetLayers({
+      id: "propostas-polygons-highlight",
+      type: "line",
+      "source-layer": "propostas",
+      filter: PROPOSTAS_LAYER_FILTERS["propostas-polygons-highlight"],
+      paint: {
+        "line-color": createFeatureStateExpression(
+          { highlighted: "#ffb91b", saved: SAVED_COLOR },
+          "#000000",
+        ),
+        "line-width": createFeatureStateExpression(
+          { selected: 5, hover: 3, highlighted: 4, saved: 3 },
+          0,
+        ),
+        "line-opacity": createFeatureStateExpression(
+          { selected: 0.8, hover: 0.6, highlighted: 0.9, saved: 0.9 },
+          0,
+        ),
+      },
+    });
+
+    // Add selection, hover and group highlight for linestrings, drawn as a halo below them
+    addTilesetLayers({
+      id: "propostas-linestrings-highlight",
+      type: "line",
+      "source-layer": "propostas",
+      filter: PROPOSTAS_LAYER_FILTERS["propostas-linestrings-highlight"],
+      layout: {
+        "line-cap": "round",
+        "line-join": "round",
+      },
+      paint: {
+        "line-color": createFeatureStateExpression(
+          { highlighted: "#ffb91b", saved: SAVED_COLOR },
+          "#000000",
+        ),
+        "line-width": createFeatureStateExpression(
+          { selected: 10, hover: 8, highlighted: 9, saved: 8 },
+          0,
+        ),
+        "line-opacity": createFeatureStateExpression(
+          { selected: 0.7, hover: 0.4, highlighted: 0.9, saved: 0.9 },
+          0,
+        ),
+      },
+    });
+
+    // Add propostas layer for LineString geometries
+    addTilesetLayers({
+      id: "propostas-linestrings",
+      type: "line",
+      "source-layer": "propostas",
+      filter: PROPOSTAS_LAYER_FILTERS["propostas-linestrings"],
+      paint: {
+        "line-color": "#3b82f6",
+        "line-width": 4,
+        "line-opacity": 0.8,
+      },
+    });
+
+    // Add clustered source for point propostas
+    // Vector tile sources cannot be clustered, so the points are loaded from the
+    // propostas index (or the loaded tiles as a fallback) by updatePointsSource()
+    map.addSource("propostas-points", {
+      type: "geojson",
+      data: { type: "FeatureCollection", features: [] },
+      cluster: true,
+      clusterMaxZoom: CLUSTER_MAX_ZOOM,
+      clusterRadius: CLUSTER_RADIUS,
+      clusterProperties: createClusterProperties(),
+      promoteId: "state_id",
+    });
+
+    // Add propostas layer for point geometries (circles/markers) - render last so they appear on top
+    map.addLayer({
+      id: "propostas-markers",
+      type: "circle",
+      source: "propostas-points",
+      filter: PROPOSTAS_LAYER_FILTERS["propostas-markers"],
+      paint: {
+        "circle-radius": 8,
+        "circle-color": "#3b82f6",
+        "circle-stroke-color": "#ffffff",
+        "circle-stroke-width": 2,
+        "circle-opacity": 0.9,
+      },
+    });
+
+    // Add selection, hover and group highlight for markers
+    map.addLayer({
+      id: "propostas-markers-highlight",
+      type: "circle",
+      source: "propostas-points",
+      filter: PROPOSTAS_LAYER_FILTERS["propostas-markers-highlight"],
+      paint: {
+        "circle-radius": createFeatureStateExpression(
+          { selected: 12, hover: 11, highlighted: 11 },
+          8,
+        ),
+        "circle-color": "transparent",
+        "circle-stroke-color": createFeatureStateExpression(
+          { highlighted: "#ffb91b", saved: SAVED_COLOR },
+          "#000000",
+        ),
+        "circle-stroke-width": createFeatureStateExpression(
+          { selected: 5, hover: 3, highlighted: 4, saved: 3 },
+          0,
+        ),
+        "circle-stroke-opacity": createFeatureStateExpression(
+          { selected: 0.8, hover: 0.6, highlighted: 0.9, saved: 0.9 },
+          0,
+        ),
+      },
+    });
+
+    // Add cluster bubbles, coloured by their most common eixo
+    map.addLayer({
+      id: "propostas-clusters",
+      type: "circle",
+      source: "propostas-points",
+      filter: ["has", "point_count"],
+      paint: {
+        "circle-color": createClusterColorExpression(),
+        "circle-radius": [
+          "step",
+          ["get", "point_count"],
+          14,
+          10,
+          18,
+          25,
+          22,
+        ],
+        "circle-stroke-color": "#ffffff",
+        "circle-stroke-width": 2,
+        "circle-opacity": 0.9,
+      },
+    });
+
+    // Add cluster counts
+    map.addLayer({
+      id: "propostas-cluster-count",
+      type: "symbol",
+      source: "propostas-points",
+      filter: ["has", "point_count"],
+      layout: {
+        "text-field": ["get", "point_count_abbreviated"],
+        "text-font": ["Noto Sans Regular"],
+        "text-size": 13,
+        "text-allow-overlap": true,
+      },
+      paint: {
+        "text-color": "#ffffff",
+        "text-halo-color": "rgba(0, 0, 0, 0.35)",
+        "text-halo-width": 1,
+      },
+    });
+
+    // Add freguesia names and proposta counts on the citywide map
+    if (isCitywide) {
+      map.addSource("freguesia-labels", {
+        type: "geojson",
+        data: { type: "FeatureCollection", features: [] },
+      });
+
+      map.addLayer({
+        id: "freguesia-labels",
+        type: "symbol",
+        source: "freguesia-labels",
+        maxzoom: 14,
+        layout: {
+          "text-field": [
+            "format",
+            ["get", "name"],
+            {},
+            "\n",
+            {},
+            ["get", "count_label"],
+            { "font-scale": 0.8 },
+          ],
+          "text-font": ["Noto Sans Regular"],
+          "text-size": 14,
+        },
+        paint: {
+          "text-color": "#1f3b40",
+          "text-halo-color": "rgba(255, 255, 255, 0.9)",
+          "text-halo-width": 1.5,
+        },
+      });
+    }
+
+    // Show a pointer over everything that can be clicked
+    ["propostas-clusters", ...INTERACTIVE_LAYERS]
+      .flatMap(getLayerIds)
+      .forEach((layerId) => {
+        map.on("mouseenter", layerId, () => {
+          map.getCanvas().style.cursor = "pointer";
+        });
+
+        map.on("mouseleave", layerId, () => {
+          map.getCanvas().style.cursor = "";
+        });
+      });
+
+    if (canHover) {
+      setupHoverPreview();
+    }
+
+    console.log("Propostas layer loaded successfully!");
+
+    // Set up click handlers after a small delay to ensure layers are fully registered
+    setTimeout(() => {
+      setupClickHandlers();
+    }, 100);
+  }
+
+  // Function to add a layer once for every tileset, using the tileset's source
+  function addTilesetLayers(layer) {
+    getTilesets().forEach((tileset) => {
+      map.addLayer(
+        Object.assign({}, layer, {
+          id: layer.id + tileset.layerSuffix,
+          source: tileset.sourceId,
+        }),
+      );
+    });
+  }
+
+  // Function to update the freguesia labels with the propostas matching the eixo filter
+  function updateFreguesiaLabels() {
+    const source = map.getSource("freguesia-labels");
+    if (!source || !propostasIndex) return;
+
+    const features = window.pageData.freguesias.map((freguesia) => {
+      const count = countVisiblePropostas(freguesia.slug);
+      const bounds = getBorderBounds(freguesia.slug);
+
+      return {
+        type: "Feature",
+        geometry: {
+          type: "Point",
+          coordinates: bounds
+            ? bounds.getCenter().toArray()
+            : freguesia.mapCenter,
+        },
+        properties: {
+          name: freguesia.name,
+          count_label: t("propostasCount", { count: count }),
+        },
+      };
+    });
+
+    source.setData({ type: "FeatureCollection", features: features });
+  }
+
+  // Helper function to count a freguesia's propostas matching the eixo filter
+  function countVisiblePropostas(freguesiaSlug) {
+    const ids = new Set();
+
+    propostasIndex.propostas.forEach((feature) => {
+      const properties = feature.properties;
+      if (properties["freguesia"] !== freguesiaSlug) return;
+      if (activeEixos.size > 0 && !activeEixos.has(properties["eixo"])) return;
+
+      ids.add(getFeatureId(feature) || getFeatureKey(feature));
+    });
+
+    return ids.size;
+  }
+
+  // Helper function to list the polygons of border features, MultiPolygons included
+  function getBorderPolygons(features) {
+    return features.flatMap((feature) => {
+      if (feature.geometry.type === "MultiPolygon") {
+        return feature.geometry.coordinates;
+      }
+      return feature.geometry.type === "Polygon"
+        ? [feature.geometry.coordinates]
+        : [];
+    });
+  }
+
+  // Helper function to get the bounds of border features, from their outer rings
+  function getPolygonsBounds(features) {
+    const polygons = getBorderPolygons(features);
+    if (polygons.length === 0) return null;
+
+    const bounds = new maplibregl.LngLatBounds();
+    polygons.forEach((polygon) => {
+      polygon[0].forEach((coord) => bounds.extend(coord));
+    });
+
+    return bounds;
+  }
+
+  // Helper function to get the bounds of a freguesia's border
+  function getBorderBounds(freguesiaSlug) {
+    return getPolygonsBounds(
+      propostasIndex.border.filter(
+        (feature) => feature.properties["freguesia"] === freguesiaSlug,
+      ),
+    );
+  }
+
+  // Helper function to grow bounds by a share of their size on every side
+  function expandBounds(bounds, margin) {
+    const width = (bounds.getEast() - bounds.getWest()) * margin;
+    const height = (bounds.getNorth() - bounds.getSouth()) * margin;
+
+    return new maplibregl.LngLatBounds(
+      [bounds.getWest() - width, bounds.getSouth() - height],
+      [bounds.getEast() + width, bounds.getNorth() + height],
+    );
+  }
+
+  // Function to grey out everything outside the freguesia border
+  // The mask is a world-sized polygon with a hole for each part of the border
+  function addBorderMask() {
+    const polygons = getBorderPolygons(propostasIndex.border);
+    if (polygons.length === 0 || map.getSource("border-mask")) return;
+
+    const world = [
+      [-180, -85],
+      [180, -85],
+      [180, 85],
+      [-180, 85],
+      [-180, -85],
+    ];
+
+    map.addSource("border-mask", {
+      type: "geojson",
+      data: {
+        type: "Feature",
+        geometry: {
+          type: "Polygon",
+          coordinates: [world, ...polygons.map((polygon) => polygon[0])],
+        },
+        properties: {},
+      },
+    });
+
+    // Below the border outline, so the outline and propostas stay on top
+    map.addLayer(
+      {
+        id: "border-mask",
+        type: "fill",
+        source: "border-mask",
+        paint: {
+          "fill-color": "#6c757d",
+          "fill-opacity": 0.35,
+        },
+      },
+      getLayerIds("freguesia-border-outline")[0],
+    );
+  }
+
+  // Function to keep the map from being panned far away from the freguesia
+  // Pages can set their own maxBounds, or turn the restriction off
+  function restrictPanningToBorder() {
+    if (mapView.maxBounds !== null) return;
+
+    const bounds = getBorderBounds(window.pageData.freguesiaSlug);
+    if (!bounds) return;
+
+    map.setMaxBounds(expandBounds(bounds, mapView.maxBoundsMargin));
+  }
+
+  // Function to show the outlines of the neighbouring freguesias
+  function loadNeighbourBorders() {
+    const freguesiaSlug = window.pageData.freguesiaSlug;
+    const bounds = getBorderBounds(freguesiaSlug);
+    if (!window.pageData.bordersUrl || !bounds) return;
+
+    const nearbyBounds = expandBounds(bounds, NEIGHBOUR_MARGIN);
+    const pages = window.pageData.freguesiaPages || [];
+
+    fetch(window.pageData.bordersUrl)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} for ${response.url}`);
+        }
+        return response.json();
+      })
+      .then((data) => {
+        const neighbours = data.features.filter((feature) => {
+          if (feature.properties["slug"] === freguesiaSlug) return false;
+
+          const neighbourBounds = getPolygonsBounds([feature]);
+          return (
+            neighbourBounds &&
+            neighbourBounds.getWest() <= nearbyBounds.getEast() &&
+            neighbourBounds.getEast() >= nearbyBounds.getWest() &&
+            neighbourBounds.getSouth() <= nearbyBounds.getNorth() &&
+            neighbourBounds.getNorth() >= nearbyBounds.getSouth()
+          );
+        });
+
+        // Link to the neighbours that have a page of their own
+        neighbours.forEach((feature) => {
+          const page = pages.find(
+            (freguesia) => freguesia.slug === feature.properties["slug"],
+          );
+          if (page) {
+            feature.properties["name"] = page.name;
+            feature.properties["url"] = page.url;
+          }
+        });
+
+        addNeighbourLayers(neighbours);
+      })
+      .catch((error) => {
+        console.warn("Could not load the neighbouring freguesias:", error);
+      });
+  }
+
+  // Function to add the neighbouring freguesia outlines and names to the map
+  function addNeighbourLayers(neighbours) {
+    if (neighbours.length === 0 || map.getSource("neighbour-borders")) return;
+
+    map.addSource("neighbour-borders", {
+      type: "geojson",
+      data: { type: "FeatureCollection", features: neighbours },
+    });
+
+    const beforeId = getLayerIds("freguesia-border-outline")[0];
+
+    // Transparent fill, only there to catch clicks
+    map.addLayer(
+      {
+        id: "neighbour-borders-fill",
+        type: "fill",
+        source: "neighbour-borders",
+        paint: {
+          "fill-opacity": 0,
+        },
+      },
+      beforeId,
+    );
+
+    map.addLayer(
+      {
+        id: "neighbour-borders-outline",
+        type: "line",
+        source: "neighbour-borders",
+        paint: {
+          "line-color": "#6c757d",
+          "line-width": 1.5,
+          "line-opacity": 0.8,
+          "line-dasharray": [3, 2],
+        },
+      },
+      beforeId,
+    );
+
+    map.addLayer(
+      {
+        id: "neighbour-borders-label",
+        type: "symbol",
+        source: "neighbour-borders",
+        layout: {
+          "text-field": ["get", "name"],
+          "text-font": ["Noto Sans Regular"],
+          "text-size": 13,
+        },
+        paint: {
+          "text-color": "#495057",
+          "text-halo-color": "#ffffff",
+          "text-halo-width": 1.5,
+        },
+      },
+      beforeId,
+    );
+
+    map.on("mouseenter", "neighbour-borders-fill", (e) => {
+      if (e.features[0].properties["url"]) {
+        map.getCanvas().style.cursor = "pointer";
+      }
+    });
+    map.on("mouseleave", "neighbour-borders-fill", () => {
+      map.getCanvas().style.cursor = "";
+    });
+  }
+
+  // Function to show a neighbouring freguesia's name, with a link to its page
+  function showNeighbourPopup(feature, lngLat) {
+    const properties = feature.properties;
+    if (!properties["url"]) return;
+
+    freguesiaPopup = new maplibregl.Popup({
+      className: "freguesia-popup",
+      maxWidth: "260px",
+    })
+      .setLngLat(lngLat)
+      .setHTML(
+        `
+        <div class="fw-semibold mb-2">${escapeHtml(properties["name"])}</div>
+        <a href="${escapeHtml(properties["url"])}" class="btn btn-primary btn-sm">
+          ${t("openFreguesiaPage")}
+        </a>
+      `,
+      )
+      .addTo(map);
+  }
+
+  // Function to show a freguesia's name and count, with links to zoom in or open its page
+  function showFreguesiaPopup(freguesiaSlug, lngLat) {
+    const freguesia = getFreguesia(freguesiaSlug);
+    if (!freguesia) return;
+
+    const container = document.createElement("div");
+    container.innerHTML = `
+      <div class="fw-semibold">${escapeHtml(freguesia.name)}</div>
+      <div class="small text-muted mb-2">${t("propostasCount", { count: countVisiblePropostas(freguesiaSlug) })}</div>
+      <div class="d-flex flex-wrap gap-2">
+        <button type="button" class="btn btn-outline-primary btn-sm" data-freguesia-zoom>
+          ${t("zoomToFreguesia")}
+        </button>
+        <a href="${escapeHtml(freguesia.url)}" class="btn btn-primary btn-sm">
+          ${t("openFreguesiaPage")}
+        </a>
+      </div>
+    `;
+
+    container
+      .querySelector("[data-freguesia-zoom]")
+      .addEventListener("click", function () {
+        closeFreguesiaPopup();
+        fitMapToBorder(
+          propostasIndex.border.filter(
+            (feature) => feature.properties["freguesia"] === freguesiaSlug,
+          ),
+        );
+      });
+
+    freguesiaPopup = new maplibregl.Popup({
+      className: "freguesia-popup",
+      maxWidth: "260px",
+    })
+      .setLngLat(lngLat)
+      .setDOMContent(container)
+      .addTo(map);
+  }
+
+  // Function to close the freguesia popup
+  function closeFreguesiaPopup() {
+    if (freguesiaPopup) {
+      freguesiaPopup.remove();
+      freguesiaPopup = null;
+    }
+  }
+
+  // Function to find the propostas at a point, markers first, then linestrings, then polygons
+  function queryPropostasAt(point) {
+    const features = INTERACTIVE_LAYERS.flatMap((baseId) =>
+      map.queryRenderedFeatures(point, { layers: getLayerIds(baseId) }),
+    );
+
+    // Tile features don't know their freguesia, their source does
+    features.forEach((feature) => {
+      if (!feature.properties["freguesia"]) {
+        const tileset = findTileset(feature.source);
+        feature.properties["freguesia"] = tileset ? tileset.freguesia : null;
+      }
+    });
+
+    return uniqueFeatures(features);
+  }
+
+  // Helper function to build a paint value that depends on the feature state
+  // values maps feature states to values; the first state that is set wins
+  function createFeatureStateExpression(values, fallback) {
+    const expression = ["case"];
+
+    FEATURE_STATES.forEach((state) => {
+      if (values[state] !== undefined) {
+        expression.push(["boolean", ["feature-state", state], false]);
+        expression.push(values[state]);
+      }
+    });
+
+    expression.push(fallback);
+
+    return expression;
+  }
+
+  // Helper function to set the state of a proposta in both the tiles and the points source
+  function setFeatureIdState(id, state) {
+    const { freguesia, featureId } = splitFeatureId(id);
+    const tileset = findTileset(freguesia);
+
+    if (tileset && map.getSource(tileset.sourceId)) {
+      map.setFeatureState(
+        { source: tileset.sourceId, sourceLayer: "propostas", id: featureId },
+        state,
+      );
+    }
+    if (map.getSource("propostas-points")) {
+      map.setFeatureState({ source: "propostas-points", id: id }, state);
+    }
+  }
+
+  // Function to put exactly these propostas in a feature state, clearing it from the rest
+  function setFeatureStateIds(stateName, ids) {
+    const previous = featureStateIds[stateName];
+    const next = new Set(ids.filter(Boolean));
+
+    previous.forEach((id) => {
+      if (!next.has(id)) {
+        setFeatureIdState(id, { [stateName]: false });
+      }
+    });
+
+    next.forEach((id) => {
+      if (!previous.has(id)) {
+        setFeatureIdState(id, { [stateName]: true });
+      }
+    });
+
+    featureStateIds[stateName] = next;
+  }
+
+  // Function to highlight a group of propostas at once (e.g. search results)
+  function setHighlightedFeatures(ids) {
+    setFeatureStateIds("highlighted", ids);
+  }
+
+  // Function to highlight the proposta under the mouse (null clears it)
+  function setHoverHighlight(id) {
+    setFeatureStateIds("hover", id ? [id] : []);
+  }
+
+  // Function to set up hover previews for propostas (mouse only)
+  function setupHoverPreview() {
+    map.on("mousemove", function (e) {
+      // Clusters are previewed by their count, not a popup
+      const overCluster =
+        map.queryRenderedFeatures(e.point, { layers: ["propostas-clusters"] })
+          .length > 0;
+      const feature = overCluster ? null : queryPropostasAt(e.point)[0];
+
+      if (!feature) {
+        hideHoverPreview();
+        return;
+      }
+
+      showHoverPreview(feature, e.lngLat);
+    });
+
+    // Don't leave the preview behind when the mouse leaves the map or drags it
+    map.getCanvas().addEventListener("mouseleave", hideHoverPreview);
+    map.on("dragstart", hideHoverPreview);
+    map.on("zoomstart", hideHoverPreview);
+  }
+
+  // Function to show the hover preview for a feature
+  function showHoverPreview(feature, lngLat) {
+    const key = getFeatureKey(feature);
+
+    if (hoverPopup && key === hoveredFeatureKey) {
+      // Same proposta: keep the popup next to the cursor
+      hoverPopup.setLngLat(lngLat);
+      return;
+    }
+
+    hoveredFeatureKey = key;
+    setHoverHighlight(getFeatureId(feature));
+
+    if (!hoverPopup) {
+      hoverPopup = new maplibregl.Popup({
+        className: "hover-preview-popup",
+        closeButton: false,
+        closeOnClick: false,
+        maxWidth: "280px",
+        offset: 14,
+      });
+    }
+
+    hoverPopup
+      .setLngLat(lngLat)
+      .setHTML(createHoverPreviewContent(feature.properties))
+      .addTo(map);
+  }
+
+  // Function to hide the hover preview and highlight
+  function hideHoverPreview() {
+    if (hoveredFeatureKey === null) return;
+
+    hoveredFeatureKey = null;
+    setHoverHighlight(null);
+
+    if (hoverPopup) {
+      hoverPopup.remove();
+    }
+  }
+
+  // Helper function to create the hover preview: name, eixo badge and sumario
+  function createHoverPreviewContent(properties) {
+    const title = getPropostaTitle(properties);
+
+    let content = `<div class="fw-semibold small">${escapeHtml(title)}</div>`;
+
+    if (properties["eixo"]) {
+      content += `<span class="badge ${getEixoBadgeClass(properties["eixo"])} text-wrap mt-1">${escapeHtml(getEixoLabel(properties["eixo"]))}</span>`;
+    }
+
+    if (properties["sumario"]) {
+      let sumario = String(properties["sumario"]).trim();
+      if (sumario.length > HOVER_SUMMARY_LENGTH) {
+        sumario = sumario.slice(0, HOVER_SUMMARY_LENGTH).trimEnd() + "…";
+      }
+      content += `<div class="small text-muted mt-1">${escapeHtml(sumario)}</div>`;
+    }
+
+    return content;
+  }
+
+  // Helper function to remove previous selection styling
+  function removeSelectionStyling() {
+    setFeatureStateIds("selected", []);
+    updateListSelection(null);
+  }
+
+  // Helper function to get the title of a proposta
+  function getPropostaTitle(properties) {
+    return (
+      properties["proposta"] ||
+      properties["Name"] ||
+      properties["name"] ||
+      t("proposta")
+    );
+  }
+
+  // Helper function to create panel content for both markers and polygons
+  function createPanelContent(properties) {
+    // Use the appropriate title property (Name for markers, name for polygons)
+    const title = properties["Name"] || properties["name"] || t("proposta");
+
+    let panelContent = "";
+
+    // Name the freguesia on the citywide map
+    const freguesia = isCitywide && getFreguesia(properties["freguesia"]);
+    if (freguesia) {
+      panelContent += `<div class="small text-muted text-uppercase fw-semibold">${escapeHtml(freguesia.name)}</div>`;
+    }
+
+    panelContent += `<h3>${escapeHtml(title)}</h3>`;
+
+    // Add main proposta content
+    if (properties["proposta"]) {
+      panelContent += `<p class="lead">${escapeHtml(properties["proposta"])}</p>`;
+    }
+
+    // Add description (for markers) or sumario (for polygons), falling back to
+    // the full descricao; descriptions may use the safe formatting subset
+    if (properties["description"]) {
+      panelContent += formatRichText(properties["description"]);
+    } else if (properties["sumario"]) {
+      panelContent += `<p>${escapeHtml(properties["sumario"])}</p>`;
+    } else if (properties["descricao"]) {
+      panelContent += formatRichText(properties["descricao"]);
+    }
+
+    // Add eixo badge if it exists (for polygons)
+    if (properties["eixo"]) {
+      const badgeClass = getEixoBadgeClass(properties["eixo"]);
+      panelContent += `<p><span class="badge ${badgeClass}">${escapeHtml(getEixoLabel(properties["eixo"]))}</span></p>`;
+    }
+
+    return addCommonPanelElements(panelContent, properties);
+  }
+
+  // Function to count unique propostas per eixo
+  // Features sharing a slug (e.g. the same proposta at several markets) count once,
+  // which also collapses features duplicated across vector tile boundaries.
+  function countPropostasByEixo(features) {
+    const seen = new Set();
+    const counts = {};
+
+    features.forEach((feature) => {
+      const properties = feature.properties || {};
+      const eixo = properties["eixo"];
+      if (!eixo) return;
+
+      const key =
+        getFeatureId(feature) ||
+        `${properties["Name"] || properties["name"]}|${eixo}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      counts[eixo] = (counts[eixo] || 0) + 1;
+    });
+
+    return counts;
+  }
+
+  // Function to show only the propostas belonging to the selected eixos
+  function applyEixoFilter() {
+    const eixoFilter =
+      activeEixos.size > 0
+        ? ["in", ["get", "eixo"], ["literal", Array.from(activeEixos)]]
+        : null;
+
+    Object.keys(PROPOSTAS_LAYER_FILTERS).forEach((baseId) => {
+      const baseFilter = PROPOSTAS_LAYER_FILTERS[baseId];
+
+      getLayerIds(baseId).forEach((layerId, index) => {
+        if (!map.getLayer(layerId)) return;
+
+        const filters = [baseFilter];
+        if (eixoFilter) filters.push(eixoFilter);
+
+        // Points are filtered in their source instead, see updatePointsSource()
+        if (listingIds && TILESET_LAYERS.includes(baseId)) {
+          filters.push(createListingFilter(getTilesets()[index]));
+        }
+
+        map.setFilter(
+          layerId,
+          filters.length > 1 ? ["all", ...filters] : baseFilter,
+        );
+      });
+    });
+
+    // Re-cluster the points that are still visible
+    updatePointsSource();
+
+    // Update the freguesia counts for the filtered eixos
+    updateFreguesiaLabels();
+
+    // Keep the lists and export count in line with the filter
+    updateNearbyList();
+    updateExportPanel();
+    renderListView();
+
+    updateEixoLegendSelection();
+  }
+
+  // Function to toggle an eixo in the legend filter (multi-select)
+  function toggleEixoFilter(eixo) {
+    if (activeEixos.has(eixo)) {
+      activeEixos.delete(eixo);
+    } else {
+      activeEixos.add(eixo);
+    }
+    applyEixoFilter();
+    replaceMapState();
+  }
+
+  // Function to clear the legend filter and show all eixos
+  function clearEixoFilter() {
+    activeEixos.clear();
+    applyEixoFilter();
+    replaceMapState();
+  }
+
+  // Function to reflect the active eixos in the legend
+  function updateEixoLegendSelection() {
+    const legend = document.querySelector("#panelBody #eixoLegend");
+    if (!legend) return;
+
+    legend.querySelectorAll(".eixo-filter-item").forEach((item) => {
+      const isActive = activeEixos.has(item.dataset.eixo);
+      item.classList.toggle("active", isActive);
+      item.classList.toggle(
+        "inactive",
+        activeEixos.size > 0 && !isActive,
+      );
+      item.setAttribute("aria-pressed", isActive ? "true" : "false");
+    });
+
+    const clearButton = legend.querySelector(".eixo-filter-clear");
+    if (clearButton) {
+      clearButton.disabled = activeEixos.size === 0;
+    }
+  }
+
+  // Function to add eixo legend to the general info panel
+  function addEixoLegendToInfoPanel() {
+    // Use the copy inside the panel body, not the hidden page template
+    const infoPanel = document.querySelector("#panelBody #generalInfoContent");
+    if (!infoPanel || Object.keys(eixoColorMapping).length === 0) {
+      return;
+    }
+
+    // Create legend HTML
+    let legendHTML = `
+      <div class="mb-3 pb-2 border-bottom" id="eixoLegend">
+        <div class="fw-semibold text-body-secondary small text-uppercase mb-2">
+          ${t("eixos")}
+        </div>
+        <div class="text-dark">
+    `;
+
+    // Sort eixos alphabetically for display
+    const sortedEixos = Object.keys(eixoColorMapping).sort((a, b) =>
+      getEixoLabel(a).localeCompare(getEixoLabel(b), currentLanguage),
+    );
+
+    sortedEixos.forEach((eixo) => {
+      const badgeClass = getEixoBadgeClass(eixo);
+      const count = eixoCounts[eixo] || 0;
+      legendHTML += `
+        <button type="button" class="eixo-filter-item d-flex align-items-center w-100 mb-1" data-eixo="${escapeHtml(eixo)}" aria-pressed="false">
+          <span class="badge ${badgeClass} me-2" style="min-width: 20px; font-size: 0.7rem;">&nbsp;</span>
+          <span class="small text-start flex-grow-1">${escapeHtml(getEixoLabel(eixo))}</span>
+          <span class="badge rounded-pill text-bg-light ms-2">${count}</span>
+        </button>
+      `;
+    });
+
+    legendHTML += `
+        </div>
+        <button type="button" class="btn btn-sm btn-outline-secondary mt-2 eixo-filter-clear" disabled>
+          <i class="bi bi-x-circle me-1"></i>
+          ${t("showAll")}
+        </button>
+      </div>
+    `;
+
+    // Insert the legend before the last div (navigation section)
+    const lastSection = infoPanel.querySelector(":scope > .mb-0");
+    if (lastSection) {
+      lastSection.insertAdjacentHTML("beforebegin", legendHTML);
+    }
+
+    // Wire up legend interactions
+    const legend = infoPanel.querySelector("#eixoLegend");
+    if (!legend) return;
+
+    legend.querySelectorAll(".eixo-filter-item").forEach((item) => {
+      item.addEventListener("click", function () {
+        toggleEixoFilter(item.dataset.eixo);
+      });
+    });
+
+    legend
+      .querySelector(".eixo-filter-clear")
+      .addEventListener("click", function () {
+        clearEixoFilter();
+      });
+
+    updateEixoLegendSelection();
+  }
+
+  // Function to build the search index from propostas features
+  function buildSearchIndex(features) {
+    const seen = new Set();
+    const entries = [];
+
+    features.forEach((feature) => {
+      const properties = feature.properties || {};
+      const name = properties["Name"] || properties["name"] || "";
+      const title = properties["proposta"] || name || t("proposta");
+
+      // The same feature can be returned once per tile it spans
+      const key = `${getFeatureId(feature) || ""}|${name}|${title}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      entries.push({
+        feature: feature,
+        title: title,
+        name: name !== title ? name : "",
+        eixo: properties["eixo"] || "",
+        fields: {
+          title: propostasSearch.normalize(title),
+          name: propostasSearch.normalize(name),
+          eixo: propostasSearch.normalize(getEixoLabel(properties["eixo"])),
+          sumario: propostasSearch.normalize(properties["sumario"]),
+        },
+      });
+    });
+
+    console.log(`Indexed ${entries.length} propostas for search`);
+    return entries;
+  }
+
+  // Function to find ranked search results, every term must match some field
+  function searchPropostas(query, limit = MAX_SEARCH_SUGGESTIONS) {
+    const terms = propostasSearch.getTerms(query);
+    if (terms.length === 0) return [];
+
+    const results = [];
+
+    searchIndex.forEach((entry) => {
+      const score = propostasSearch.score(
+        entry.fields,
+        SEARCH_FIELD_WEIGHTS,
+        terms,
+      );
+      if (score > 0) {
+        results.push({ entry: entry, score: score });
+      }
+    });
+
+    results.sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.entry.title.localeCompare(b.entry.title, currentLanguage),
+    );
+
+    return results.slice(0, limit).map((result) => result.entry);
+  }
+
+  // Function to create the search control with autocomplete suggestions
+  function createSearchControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className = "maplibregl-ctrl propostas-search";
+        container.innerHTML = `
+          <input
+            type="search"
+            class="form-control form-control-sm shadow-sm"
+            placeholder="${t("searchPlaceholder")}"
+            aria-label="${t("searchLabel")}"
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded="false"
+            aria-controls="propostasSearchResults"
+            autocomplete="off"
+          />
+          <ul class="list-group shadow-sm d-none" id="propostasSearchResults" role="listbox"></ul>
+        `;
+
+        setupSearchControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to translate the search control
+  function updateSearchControlLanguage() {
+    const input = document.querySelector(".propostas-search input");
+    if (!input) return;
+
+    input.placeholder = t("searchPlaceholder");
+    input.setAttribute("aria-label", t("searchLabel"));
+  }
+
+  // Function to wire up the search input and suggestion list
+  function setupSearchControl(container) {
+    const input = container.querySelector("input");
+    const list = container.querySelector("ul");
+    let results = [];
+    let activeIndex = -1;
+
+    // Keep map gestures from firing while interacting with the control
+    ["mousedown", "touchstart", "dblclick", "wheel"].forEach((eventName) => {
+      container.addEventListener(eventName, (e) => e.stopPropagation());
+    });
+
+    function closeSuggestions() {
+      setHighlightedFeatures([]);
+      list.classList.add("d-none");
+      list.innerHTML = "";
+      input.setAttribute("aria-expanded", "false");
+      input.removeAttribute("aria-activedescendant");
+      results = [];
+      activeIndex = -1;
+    }
+
+    function setActive(index) {
+      activeIndex = index;
+      list.querySelectorAll(".list-group-item").forEach((item, i) => {
+        const isActive = i === index;
+        item.classList.toggle("active", isActive);
+        item.setAttribute("aria-selected", isActive ? "true" : "false");
+        if (isActive) {
+          input.setAttribute("aria-activedescendant", item.id);
+          item.scrollIntoView({ block: "nearest" });
+        }
+      });
+    }
+
+    function selectResult(index) {
+      const entry = results[index];
+      if (!entry) return;
+
+      input.value = entry.title;
+      closeSuggestions();
+      input.blur();
+      highlightFeature(entry.feature);
+    }
+
+    function renderSuggestions() {
+      results = searchPropostas(input.value);
+      activeIndex = -1;
+
+      if (input.value.trim() === "") {
+        closeSuggestions();
+        return;
+      }
+
+      // Show where the suggested propostas are on the map
+      setHighlightedFeatures(
+        results.map((entry) => getFeatureId(entry.feature)),
+      );
+
+      if (results.length === 0) {
+        list.innerHTML = `
+          <li class="list-group-item small text-muted">${t("noResults")}</li>
+        `;
+      } else {
+        list.innerHTML = results
+          .map((entry, index) => {
+            const eixoBadge = entry.eixo
+              ? `<span class="badge ${getEixoBadgeClass(entry.eixo)} text-wrap mt-1">${escapeHtml(getEixoLabel(entry.eixo))}</span>`
+              : "";
+            const name = entry.name
+              ? `<div class="small text-muted">${propostasSearch.highlight(entry.name, input.value)}</div>`
+              : "";
+            return `
+              <li class="list-group-item list-group-item-action small" id="propostasSearchResult-${index}" role="option" aria-selected="false" data-index="${index}">
+                <div class="fw-semibold">${propostasSearch.highlight(entry.title, input.value)}</div>
+                ${name}
+                ${eixoBadge}
+              </li>
+            `;
+          })
+          .join("");
+
+        list.querySelectorAll("[data-index]").forEach((item) => {
+          // Use mousedown so the selection happens before the input blurs
+          item.addEventListener("mousedown", function (e) {
+            e.preventDefault();
+            selectResult(Number(item.dataset.index));
+          });
+        });
+      }
+
+      list.classList.remove("d-none");
+      input.setAttribute("aria-expanded", "true");
+    }
+
+    input.addEventListener("input", renderSuggestions);
+
+    input.addEventListener("keydown", function (e) {
+      if (e.key === "ArrowDown" && results.length > 0) {
+        e.preventDefault();
+        setActive((activeIndex + 1) % results.length);
+      } else if (e.key === "ArrowUp" && results.length > 0) {
+        e.preventDefault();
+        setActive(activeIndex <= 0 ? results.length - 1 : activeIndex - 1);
+      } else if (e.key === "Enter") {
+        e.preventDefault();
+        selectResult(activeIndex >= 0 ? activeIndex : 0);
+      } else if (e.key === "Escape") {
+        closeSuggestions();
+      }
+    });
+
+    input.addEventListener("focus", function () {
+      if (input.value.trim() !== "") renderSuggestions();
+    });
+
+    input.addEventListener("blur", closeSuggestions);
+  }
+
+  // Helper function to get the URL of a proposta page in the active language
+  function getPropostaUrl(slug, freguesiaSlug) {
+    // On the citywide map, link to the proposta on its freguesia's site
+    const freguesia = isCitywide && getFreguesia(freguesiaSlug);
+    if (freguesia) {
+      return `${freguesia.url.replace(/\/?$/, "/")}propostas/${slug.trim()}/`;
+    }
+
+    if (currentLanguage === DEFAULT_LANGUAGE) {
+      return `./propostas/${slug.trim()}/`;
+    }
+    return `./propostas/${slug.trim()}/${currentLanguage}/`;
+  }
+
+  // Function to create the language switcher control
+  function createLanguageControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group language-switcher";
+        container.setAttribute("role", "group");
+
+        container.innerHTML = getAvailableLanguages()
+          .map((language) => {
+            const messages = window.mapMessages[language] || {};
+            return `
+              <button type="button" data-language="${language}" title="${messages.languageName || language}" aria-pressed="false">
+                ${language.toUpperCase()}
+              </button>
+            `;
+          })
+          .join("");
+
+        container.querySelectorAll("[data-language]").forEach((button) => {
+          button.addEventListener("click", function () {
+            switchLanguage(button.dataset.language);
+            replaceMapState();
+          });
+        });
+
+        updateLanguageControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to reflect the active language in the switcher
+  function updateLanguageControl(container) {
+    const control = container || document.querySelector(".language-switcher");
+    if (!control) return;
+
+    control.setAttribute("aria-label", t("language"));
+    control.querySelectorAll("[data-language]").forEach((button) => {
+      const isActive = button.dataset.language === currentLanguage;
+      button.classList.toggle("active", isActive);
+      button.setAttribute("aria-pressed", isActive ? "true" : "false");
+    });
+  }
+
+  // Function to switch the propostas and UI language without reloading the page
+  function switchLanguage(language) {
+    if (
+      language === currentLanguage ||
+      !getAvailableLanguages().includes(language)
+    ) {
+      return;
+    }
+
+    console.log(`Switching map language to ${language}`);
+    currentLanguage = language;
+    // Swap the tiles in place, keeping the layers, filters and camera
+    getTilesets().forEach((tileset) => {
+      map.getSource(tileset.sourceId).setUrl("pmtiles://" + tileset.pmtilesUrl);
+    });
+
+    closeOverlapChooser();
+    updateLanguageControl();
+    updateSearchControlLanguage();
+
+    loadPropostasIndexes().then((index) => {
+      // Ignore responses for a language the user already switched away from
+      if (language !== currentLanguage) return;
+
+      propostasIndex = index;
+      eixoLabels = buildEixoLabels(index.propostas);
+      eixoCounts = countPropostasByEixo(index.propostas);
+      searchIndex = buildSearchIndex(index.propostas);
+      updatePointsSource();
+
+      // Rebuild the legend with the translated eixo names
+      const legend = document.querySelector("#panelBody #eixoLegend");
+      if (legend) legend.remove();
+      addEixoLegendToInfoPanel();
+      updateNearbyControl();
+      updateNearbyList();
+      updateTourControl();
+      updateTourPanel();
+      updateExportControl();
+      updateExportPanel();
+      updatePrintControl();
+      updatePrintPanel();
+      updateShortlistControl();
+      updateShortlistPanel();
+      updateBasemapControl();
+      updateMapError();
+      updateListControl();
+      renderListView();
+
+      // Show the selected proposta again in the new language
+      if (selectedSlug) {
+        highlightFeatureBySlug(selectedSlug, {
+          updateHistory: false,
+          moveCamera: false,
+        });
+      }
+    });
+  }
+
+  // Function to create the "perto de mim" control button
+  function createNearbyControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group nearby-control";
+        container.innerHTML = `<button type="button"></button>`;
+
+        container
+          .querySelector("button")
+          .addEventListener("click", () => showNearbyList());
+
+        updateNearbyControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to translate the nearby control
+  function updateNearbyControl(container) {
+    const control = container || document.querySelector(".nearby-control");
+    if (!control) return;
+
+    const button = control.querySelector("button");
+    button.textContent = t("nearby");
+    button.title = t("nearbyTitle");
+  }
+
+  // Function to listen to the geolocate control for the nearby list
+  function setupNearbyMode() {
+    if (!geolocateControl) return;
+
+    // Each time the user starts locating, open the list with the first fix
+    geolocateControl.on("trackuserlocationstart", function () {
+      openNearbyOnLocate = true;
+    });
+
+    geolocateControl.on("geolocate", function (position) {
+      // A dropped pin wins over tracking updates until the user locates again
+      if (
+        nearbyOrigin &&
+        nearbyOrigin.source === "pin" &&
+        !openNearbyOnLocate
+      ) {
+        return;
+      }
+
+      const lngLat = [position.coords.longitude, position.coords.latitude];
+
+      // While tracking, only refresh once the user has moved a bit
+      const hasMoved =
+        !nearbyOrigin ||
+        nearbyOrigin.source !== "location" ||
+        getDistance(nearbyOrigin.lngLat, lngLat) >= NEARBY_UPDATE_DISTANCE;
+
+      if (hasMoved) {
+        removeNearbyPin();
+        nearbyOrigin = { lngLat: lngLat, source: "location" };
+        updateNearbyList();
+      }
+
+      if (openNearbyOnLocate) {
+        openNearbyOnLocate = false;
+        showNearbyList();
+      }
+    });
+
+    // People who decline location permission can drop a pin instead
+    geolocateControl.on("error", function () {
+      openNearbyOnLocate = false;
+      showNearbyList({ locationFailed: true });
+    });
+  }
+
+  // Function to let the user drop a pin with the next map click
+  function startPlacingPin() {
+    isPlacingPin = true;
+    map.getCanvasContainer().classList.add("placing-pin");
+
+    // The panel covers the map on small screens, so the hint goes on the map
+    const panel = bootstrap.Offcanvas.getInstance(
+      document.getElementById("detailsPanel"),
+    );
+    if (panel) panel.hide();
+
+    const hint = document.createElement("div");
+    hint.className = "place-pin-hint shadow-sm";
+    hint.innerHTML = `
+      <span class="small">${t("placePinHint")}</span>
+      <button type="button" class="btn btn-sm btn-link p-0">${t("cancel")}</button>
+    `;
+    hint.querySelector("button").addEventListener("click", stopPlacingPin);
+    map.getContainer().appendChild(hint);
+  }
+
+  // Function to leave pin placement mode
+  function stopPlacingPin() {
+    isPlacingPin = false;
+    map.getCanvasContainer().classList.remove("placing-pin");
+    map
+      .getContainer()
+      .querySelectorAll(".place-pin-hint")
+      .forEach((hint) => hint.remove());
+  }
+
+  // Function to drop (or move) the nearby pin and show the propostas around it
+  // On a listing page the pin is the point the cards are sorted by distance from
+  function placeNearbyPin(lngLat) {
+    stopPlacingPin();
+    showNearbyPin(lngLat);
+
+    if (isListing) {
+      dispatchListingEvent("point", { lngLat: nearbyOrigin.lngLat });
+    } else {
+      showNearbyList();
+    }
+  }
+
+  // Helper function to put the nearby pin at a point, without showing anything else
+  function showNearbyPin(lngLat) {
+    if (!nearbyPin) {
+      nearbyPin = new maplibregl.Marker({ color: "#ed4154", draggable: true });
+      nearbyPin.on("dragend", function () {
+        nearbyOrigin = {
+          lngLat: nearbyPin.getLngLat().toArray(),
+          source: "pin",
+        };
+
+        if (isListing) {
+          dispatchListingEvent("point", { lngLat: nearbyOrigin.lngLat });
+        } else {
+          updateNearbyList();
+        }
+      });
+    }
+
+    nearbyPin.setLngLat(lngLat).addTo(map);
+    nearbyOrigin = { lngLat: nearbyPin.getLngLat().toArray(), source: "pin" };
+  }
+
+  // Function to remove the nearby pin once the real location is known
+  function removeNearbyPin() {
+    if (nearbyPin) {
+      nearbyPin.remove();
+      nearbyPin = null;
+    }
+  }
+
+  // Helper function to get the distance in meters between two [lng, lat] points
+  function getDistance(from, to) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const earthRadius = 6371000;
+
+    const deltaLat = toRadians(to[1] - from[1]);
+    const deltaLng = toRadians(to[0] - from[0]);
+    const a =
+      Math.sin(deltaLat / 2) ** 2 +
+      Math.cos(toRadians(from[1])) *
+        Math.cos(toRadians(to[1])) *
+        Math.sin(deltaLng / 2) ** 2;
+
+    return 2 * earthRadius * Math.asin(Math.sqrt(a));
+  }
+
+  // Helper function to list every coordinate of a geometry
+  function getGeometryCoordinates(geometry) {
+    switch (geometry.type) {
+      case "Point":
+        return [geometry.coordinates];
+      case "LineString":
+      case "MultiPoint":
+        return geometry.coordinates;
+      case "Polygon":
+      case "MultiLineString":
+        return geometry.coordinates.flat();
+      case "MultiPolygon":
+        return geometry.coordinates.flat(2);
+      default:
+        return [];
+    }
+  }
+
+  // Function to estimate the distance to a feature from its closest vertex
+  function getFeatureDistance(feature, origin) {
+    return Math.min(
+      ...getGeometryCoordinates(feature.geometry).map((coord) =>
+        getDistance(origin, coord),
+      ),
+    );
+  }
+
+  // Function to list the propostas closest to the nearby origin, matching the eixo filter
+  function findNearbyPropostas() {
+    const closest = new Map();
+
+    propostasIndex.propostas.forEach((feature) => {
+      const eixo = feature.properties["eixo"];
+      if (activeEixos.size > 0 && !activeEixos.has(eixo)) return;
+
+      // A proposta with several locations is as close as its closest one
+      const key = getFeatureId(feature) || getFeatureKey(feature);
+      const distance = getFeatureDistance(feature, nearbyOrigin.lngLat);
+      if (!closest.has(key) || distance < closest.get(key).distance) {
+        closest.set(key, { feature: feature, distance: distance });
+      }
+    });
+
+    return Array.from(closest.values())
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEARBY_LIMIT);
+  }
+
+  // Helper function to format a walking distance estimate, e.g. "350 m · 6 min"
+  function formatWalkingDistance(distance) {
+    const walkingDistance = distance * WALKING_DETOUR_FACTOR;
+    const minutes = Math.max(
+      1,
+      Math.round(walkingDistance / WALKING_METERS_PER_MINUTE),
+    );
+
+    const label =
+      walkingDistance < 1000
+        ? `${Math.round(walkingDistance / 10) * 10} m`
+        : `${(walkingDistance / 1000).toLocaleString(currentLanguage, {
+            maximumFractionDigits: 1,
+          })} km`;
+
+    return t("walkingDistance", { distance: label, minutes: minutes });
+  }
+
+  // Function to show the nearby list in the details panel
+  function showNearbyList(options = {}) {
+    // Leave any open proposta, as the info button does
+    removeSelectionStyling();
+    if (selectedSlug) {
+      selectedSlug = null;
+      replaceMapState();
+    }
+
+    renderNearbyList(options);
+    showPanelContent("nearbyContent");
+
+    const panel = bootstrap.Offcanvas.getOrCreateInstance(
+      document.getElementById("detailsPanel"),
+    );
+    panel.show();
+  }
+
+  // Function to refresh the nearby list if it is showing
+  function updateNearbyList() {
+    const content = document.querySelector("#panelBody #nearbyContent");
+    if (content && !content.classList.contains("d-none")) {
+      renderNearbyList();
+    }
+  }
+
+  // Function to render the nearby list, or how to get one without a location
+  function renderNearbyList(options = {}) {
+    const content = document.querySelector("#panelBody #nearbyContent");
+    if (!content) return;
+
+    content.setAttribute("data-panel-title", t("nearbyTitle"));
+    document.getElementById("detailsPanelLabel").textContent = t("nearbyTitle");
+
+    const entries =
+      nearbyOrigin && propostasIndex ? findNearbyPropostas() : [];
+    let html = "";
+
+    if (options.locationFailed) {
+      html += `<div class="alert alert-warning small">${t("locationUnavailable")}</div>`;
+    }
+
+    if (!nearbyOrigin || !propostasIndex) {
+      html += `<p class="small text-muted">${t("nearbyIntro")}</p>`;
+    } else {
+      const origin =
+        nearbyOrigin.source === "pin" ? t("nearPin") : t("nearLocation");
+      html += `<p class="small text-muted mb-2">${origin}</p>`;
+
+      if (entries.length === 0) {
+        html += `<p class="small text-muted">${t("noResults")}</p>`;
+      } else {
+        html += `<div class="list-group list-group-flush mb-3 nearby-list">`;
+        entries.forEach((entry, index) => {
+          const properties = entry.feature.properties;
+          const title = getPropostaTitle(properties);
+          const eixoBadge = properties["eixo"]
+            ? `<span class="badge ${getEixoBadgeClass(properties["eixo"])} text-wrap">${escapeHtml(getEixoLabel(properties["eixo"]))}</span>`
+            : "";
+
+          html += `
+            <button type="button" class="list-group-item list-group-item-action px-0" data-nearby-index="${index}">
+              <div class="d-flex justify-content-between gap-2">
+                <span class="small fw-semibold">${escapeHtml(title)}</span>
+                <span class="small text-muted text-nowrap">${formatWalkingDistance(entry.distance)}</span>
+              </div>
+              <div class="mt-1">${eixoBadge}</div>
+            </button>
+          `;
+        });
+        html += "</div>";
+      }
+    }
+
+    // Locating again while already tracking would switch tracking off
+    const hasLocation = nearbyOrigin && nearbyOrigin.source === "location";
+    html += `
+      <div class="d-flex flex-wrap gap-2">
+        ${
+          hasLocation
+            ? ""
+            : `<button type="button" class="btn btn-outline-primary btn-sm" data-nearby-action="locate">
+                ${t("useMyLocation")}
+              </button>`
+        }
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-nearby-action="pin">
+          ${nearbyPin ? t("movePin") : t("dropPin")}
+        </button>
+      </div>
+    `;
+
+    content.innerHTML = html;
+
+    content.querySelectorAll("[data-nearby-index]").forEach((item) => {
+      item.addEventListener("click", function () {
+        const entry = entries[Number(item.dataset.nearbyIndex)];
+        if (entry) highlightFeature(entry.feature);
+      });
+    });
+
+    const locateButton = content.querySelector(
+      "[data-nearby-action='locate']",
+    );
+    if (locateButton && geolocateControl) {
+      locateButton.addEventListener("click", function () {
+        openNearbyOnLocate = true;
+        geolocateControl.trigger();
+      });
+    }
+
+    content
+      .querySelector("[data-nearby-action='pin']")
+      .addEventListener("click", startPlacingPin);
+  }
+
+  // Function to build the link back to the nearby list from a proposta
+  function createNearbyBackLink() {
+    if (!nearbyOrigin) {
+      return "";
+    }
+
+    return `
+      <button type="button" class="btn btn-sm btn-link px-0 mb-2 text-decoration-none" data-nearby-back>
+        &larr; ${t("backToNearby")}
+      </button>
+    `;
+  }
+
+  // Function to wire up the link back to the nearby list
+  function setupNearbyBackLink() {
+    const link = document.querySelector("#panelBody [data-nearby-back]");
+    if (link) {
+      link.addEventListener("click", () => showNearbyList());
+    }
+  }
+
+  // Function to create the list view toggle button
+  function createListControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className = "maplibregl-ctrl maplibregl-ctrl-group list-control";
+        container.innerHTML = `<button type="button" aria-controls="propostasListView" aria-expanded="false"></button>`;
+
+        container
+          .querySelector("button")
+          .addEventListener("click", function () {
+            toggleListView();
+          });
+
+        updateListControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to translate the list view toggle and reflect whether the list is open
+  function updateListControl(container) {
+    const control = container || document.querySelector(".list-control");
+    if (!control) return;
+
+    const listView = document.getElementById("propostasListView");
+    const isOpen = listView && !listView.classList.contains("d-none");
+    const button = control.querySelector("button");
+    button.textContent = t("list");
+    button.title = t("listTitle");
+    button.setAttribute("aria-expanded", isOpen ? "true" : "false");
+  }
+
+  // Function to open or close the list view
+  function toggleListView(open) {
+    const listView = document.getElementById("propostasListView");
+    if (!listView) return;
+
+    const isOpen =
+      open !== undefined ? open : listView.classList.contains("d-none");
+    listView.classList.toggle("d-none", !isOpen);
+    updateListControl();
+
+    if (isOpen) {
+      renderListView();
+      positionListView();
+
+      // Start from the selected proposta, or else the first one
+      const item =
+        listView.querySelector("[aria-current='true']") ||
+        listView.querySelector("[data-list-id]");
+      if (item) item.focus();
+    } else {
+      const toggle = document.querySelector(".list-control button");
+      if (toggle) toggle.focus();
+    }
+  }
+
+  // Function to keep the list view clear of the header floating over the map on desktop
+  function positionListView() {
+    const listView = document.getElementById("propostasListView");
+    if (!listView || listView.classList.contains("d-none")) return;
+
+    const headerOffset = getHeaderOffset();
+    listView.style.top = headerOffset ? `${headerOffset + 12}px` : "";
+  }
+
+  // Function to render the list of propostas matching the eixo filter
+  function renderListView() {
+    const listView = document.getElementById("propostasListView");
+    if (!listView || !propostasIndex) return;
+
+    const features = getUniquePropostas(
+      (feature) =>
+        activeEixos.size === 0 || activeEixos.has(feature.properties["eixo"]),
+    ).sort((a, b) =>
+      getPropostaTitle(a.properties).localeCompare(
+        getPropostaTitle(b.properties),
+        currentLanguage,
+      ),
+    );
+
+    const items = features
+      .map((feature) => {
+        const properties = feature.properties;
+        const id = getFeatureId(feature) || getFeatureKey(feature);
+        const isSelected = id === selectedSlug;
+        const eixoBadge = properties["eixo"]
+          ? `<span class="badge ${getEixoBadgeClass(properties["eixo"])} text-wrap mt-1">${escapeHtml(getEixoLabel(properties["eixo"]))}</span>`
+          : "";
+        const freguesia = getFreguesia(properties["freguesia"]);
+        const freguesiaName = freguesia
+          ? `<div class="small text-muted">${escapeHtml(freguesia.name)}</div>`
+          : "";
+
+        return `
+          <li>
+            <button type="button" class="list-group-item list-group-item-action small${isSelected ? " active" : ""}" data-list-id="${escapeHtml(id)}" aria-current="${isSelected ? "true" : "false"}">
+              <div class="fw-semibold">${escapeHtml(getPropostaTitle(properties))}</div>
+              ${freguesiaName}
+              ${eixoBadge}
+            </button>
+          </li>
+        `;
+      })
+      .join("");
+
+    listView.innerHTML = `
+      <div class="d-flex align-items-center justify-content-between border-bottom px-3 py-2">
+        <h2 class="h6 mb-0" id="propostasListViewTitle">${t("listTitle")}</h2>
+        <button type="button" class="btn-close" data-list-close aria-label="${t("closeList")}"></button>
+      </div>
+      <p class="small text-muted px-3 pt-2 mb-1" aria-live="polite">${t("propostasCount", { count: features.length })}</p>
+      <ul class="list-group list-group-flush propostas-list-view-items" role="list" aria-labelledby="propostasListViewTitle">
+        ${items}
+      </ul>
+    `;
+
+    const featuresById = new Map(
+      features.map((feature) => [
+        getFeatureId(feature) || getFeatureKey(feature),
+        feature,
+      ]),
+    );
+
+    listView.querySelectorAll("[data-list-id]").forEach((item) => {
+      item.addEventListener("click", function () {
+        highlightFeature(featuresById.get(item.dataset.listId));
+      });
+    });
+
+    listView
+      .querySelector("[data-list-close]")
+      .addEventListener("click", () => toggleListView(false));
+  }
+
+  // Function to move between list items with the arrow keys, and close the list with Escape
+  function setupListViewKeyboard() {
+    const listView = document.getElementById("propostasListView");
+    if (!listView) return;
+
+    listView.addEventListener("keydown", function (e) {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        toggleListView(false);
+        return;
+      }
+
+      if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+
+      const items = Array.from(listView.querySelectorAll("[data-list-id]"));
+      const index = items.indexOf(document.activeElement);
+      if (index === -1) return;
+
+      e.preventDefault();
+      const next = e.key === "ArrowDown" ? index + 1 : index - 1;
+      items[Math.max(0, Math.min(items.length - 1, next))].focus();
+    });
+
+    window.addEventListener("resize", positionListView);
+  }
+
+  // Function to mark the selected proposta in the list and bring it into view
+  function updateListSelection(id) {
+    const listView = document.getElementById("propostasListView");
+    if (!listView) return;
+
+    listView.querySelectorAll("[data-list-id]").forEach((item) => {
+      const isSelected = item.dataset.listId === id;
+      item.classList.toggle("active", isSelected);
+      item.setAttribute("aria-current", isSelected ? "true" : "false");
+      if (isSelected) {
+        item.scrollIntoView({ block: "nearest" });
+      }
+    });
+  }
+
+  // Function to manage focus around the details panel
+  // Opening it from the list or the map returns focus there once it closes
+  function setupPanelFocus() {
+    const panel = document.getElementById("detailsPanel");
+    let returnFocusTo = null;
+
+    setupListViewKeyboard();
+
+    panel.addEventListener("show.bs.offcanvas", function () {
+      const active = document.activeElement;
+      returnFocusTo =
+        active && active !== document.body && !panel.contains(active)
+          ? active
+          : null;
+    });
+
+    panel.addEventListener("hide.bs.offcanvas", function () {
+      // The proposta that was open, if the list is showing it
+      const listView = document.getElementById("propostasListView");
+      const listItem =
+        listView && !listView.classList.contains("d-none")
+          ? listView.querySelector("[aria-current='true']")
+          : null;
+
+      if (listItem) {
+        returnFocusTo = listItem;
+      }
+    });
+
+    panel.addEventListener("hidden.bs.offcanvas", function () {
+      const target =
+        returnFocusTo && document.body.contains(returnFocusTo)
+          ? returnFocusTo
+          : map.getCanvas();
+      returnFocusTo = null;
+      target.focus();
+    });
+  }
+
+  // Function to create the tour control button
+  function createTourControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group tour-control";
+        container.innerHTML = `<button type="button"></button>`;
+
+        container
+          .querySelector("button")
+          .addEventListener("click", showTourPanel);
+
+        updateTourControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to translate the tour control
+  function updateTourControl(container) {
+    const control = container || document.querySelector(".tour-control");
+    if (!control) return;
+
+    const button = control.querySelector("button");
+    button.textContent = t("tour");
+    button.title = t("tourTitle");
+  }
+
+  // Helper function to get a single coordinate standing for a feature
+  // Points use their position, lines and areas the centre of their bounds
+  function getRepresentativeCoordinate(feature) {
+    if (feature.geometry.type === "Point") {
+      return feature.geometry.coordinates;
+    }
+
+    const bounds = new maplibregl.LngLatBounds();
+    getGeometryCoordinates(feature.geometry).forEach((coord) =>
+      bounds.extend(coord),
+    );
+    return bounds.getCenter().toArray();
+  }
+
+  // Function to order propostas into a walking sequence by nearest neighbour
+  // Starts from the nearby origin if there is one, or else the map centre
+  function orderTourStops(features, start) {
+    const remaining = features.slice();
+    const stops = [];
+    let position = start;
+
+    while (remaining.length > 0) {
+      let closestIndex = 0;
+      let closestDistance = Infinity;
+
+      remaining.forEach((feature, index) => {
+        const distance = getDistance(
+          position,
+          getRepresentativeCoordinate(feature),
+        );
+        if (distance < closestDistance) {
+          closestDistance = distance;
+          closestIndex = index;
+        }
+      });
+
+      const next = remaining.splice(closestIndex, 1)[0];
+      stops.push(next);
+      position = getRepresentativeCoordinate(next);
+    }
+
+    return stops;
+  }
+
+  // Function to list the propostas of a tour: all of them or those of one eixo
+  function getTourFeatures(eixo) {
+    return getUniquePropostas(
+      (feature) => !eixo || feature.properties["eixo"] === eixo,
+    );
+  }
+
+  // Helper function to list the propostas matching a test, once each
+  // Propostas at several locations have a feature per location
+  function getUniquePropostas(matches) {
+    const seen = new Set();
+
+    return propostasIndex.propostas.filter((feature) => {
+      if (!feature.geometry || !matches(feature)) return false;
+
+      const key = getFeatureId(feature) || getFeatureKey(feature);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Function to start a tour through a set of propostas
+  // Any list of features can be toured, e.g. the propostas of an eixo or a shortlist
+  function startTour(features, name) {
+    if (features.length === 0) return;
+
+    const start = nearbyOrigin
+      ? nearbyOrigin.lngLat
+      : map.getCenter().toArray();
+
+    tour = {
+      stops: orderTourStops(features, start),
+      index: 0,
+      name: name,
+    };
+
+    drawTourRoute();
+    showTourControls();
+    goToTourStop(0);
+  }
+
+  // Function to end the tour and remove its route from the map
+  function endTour() {
+    tour = null;
+
+    const source = map.getSource("tour-route");
+    if (source) {
+      source.setData({ type: "FeatureCollection", features: [] });
+    }
+
+    map
+      .getContainer()
+      .querySelectorAll(".tour-controls")
+      .forEach((controls) => controls.remove());
+
+    updateTourPanel();
+  }
+
+  // Function to build the tour as GeoJSON: the route line plus a point per stop
+  function getTourGeoJSON() {
+    const coordinates = tour.stops.map(getRepresentativeCoordinate);
+
+    const stops = tour.stops.map((feature, index) => {
+      const properties = feature.properties;
+      const url = isValidSlug(properties["slug"])
+        ? new URL(
+            getPropostaUrl(properties["slug"], properties["freguesia"]),
+            window.location.href,
+          ).href
+        : null;
+
+      return {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: coordinates[index] },
+        properties: {
+          order: index + 1,
+          name: getPropostaTitle(properties),
+          eixo: getEixoLabel(properties["eixo"]) || null,
+          slug: properties["slug"] || null,
+          url: url,
+        },
+      };
+    });
+
+    return {
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: coordinates },
+          properties: { name: tour.name },
+        },
+        ...stops,
+      ],
+    };
+  }
+
+  // Function to draw the tour route and numbered stops
+  function drawTourRoute() {
+    const data = getTourGeoJSON();
+
+    if (map.getSource("tour-route")) {
+      map.getSource("tour-route").setData(data);
+      return;
+    }
+
+    map.addSource("tour-route", { type: "geojson", data: data });
+
+    map.addLayer({
+      id: "tour-route-line",
+      type: "line",
+      source: "tour-route",
+      filter: ["==", ["geometry-type"], "LineString"],
+      layout: {
+        "line-cap": "round",
+        "line-join": "round",
+      },
+      paint: {
+        "line-color": "#ed4154",
+        "line-width": 3,
+        "line-opacity": 0.8,
+        "line-dasharray": [2, 1.5],
+      },
+    });
+
+    map.addLayer({
+      id: "tour-route-stops",
+      type: "circle",
+      source: "tour-route",
+      filter: ["==", ["geometry-type"], "Point"],
+      paint: {
+        "circle-radius": 10,
+        "circle-color": "#ed4154",
+        "circle-stroke-color": "#ffffff",
+        "circle-stroke-width": 2,
+      },
+    });
+
+    map.addLayer({
+      id: "tour-route-numbers",
+      type: "symbol",
+      source: "tour-route",
+      filter: ["==", ["geometry-type"], "Point"],
+      layout: {
+        "text-field": ["to-string", ["get", "order"]],
+        "text-font": ["Noto Sans Regular"],
+        "text-size": 11,
+        "text-allow-overlap": true,
+      },
+      paint: {
+        "text-color": "#ffffff",
+      },
+    });
+  }
+
+  // Function to show the previous/next controls over the map
+  function showTourControls() {
+    if (map.getContainer().querySelector(".tour-controls")) return;
+
+    const controls = document.createElement("div");
+    controls.className = "tour-controls shadow-sm";
+    controls.setAttribute("role", "group");
+    controls.innerHTML = `
+      <button type="button" class="btn btn-sm btn-outline-primary" data-tour-step="-1"></button>
+      <span class="small text-center flex-grow-1" aria-live="polite" data-tour-position></span>
+      <button type="button" class="btn btn-sm btn-primary" data-tour-step="1"></button>
+      <button type="button" class="btn btn-sm btn-link text-decoration-none" data-tour-end></button>
+    `;
+
+    controls.querySelectorAll("[data-tour-step]").forEach((button) => {
+      button.addEventListener("click", function () {
+        goToTourStop(tour.index + Number(button.dataset.tourStep));
+      });
+    });
+    controls
+      .querySelector("[data-tour-end]")
+      .addEventListener("click", endTour);
+
+    map.getContainer().appendChild(controls);
+  }
+
+  // Function to update the tour controls for the current stop
+  function updateTourControls() {
+    const controls = map.getContainer().querySelector(".tour-controls");
+    if (!controls || !tour) return;
+
+    const previous = controls.querySelector("[data-tour-step='-1']");
+    const next = controls.querySelector("[data-tour-step='1']");
+
+    previous.textContent = t("previousStop");
+    previous.disabled = tour.index === 0;
+    next.textContent = t("nextStop");
+    next.disabled = tour.index === tour.stops.length - 1;
+    controls.querySelector("[data-tour-end]").textContent = t("endTour");
+    controls.querySelector("[data-tour-position]").textContent = t(
+      "tourPosition",
+      { index: tour.index + 1, count: tour.stops.length },
+    );
+  }
+
+  // Function to fly to a stop of the tour and show its details
+  function goToTourStop(index) {
+    if (!tour || index < 0 || index >= tour.stops.length) return;
+
+    tour.index = index;
+    updateTourControls();
+    highlightFeature(tour.stops[index]);
+  }
+
+  // Function to show the tour panel
+  function showTourPanel() {
+    // Leave any open proposta, as the info button does
+    removeSelectionStyling();
+    if (selectedSlug) {
+      selectedSlug = null;
+      replaceMapState();
+    }
+
+    renderTourPanel();
+    showPanelContent("tourContent");
+
+    const panel = bootstrap.Offcanvas.getOrCreateInstance(
+      document.getElementById("detailsPanel"),
+    );
+    panel.show();
+  }
+
+  // Function to refresh the tour panel and controls if they are showing
+  function updateTourPanel() {
+    updateTourControls();
+
+    const content = document.querySelector("#panelBody #tourContent");
+    if (content && !content.classList.contains("d-none")) {
+      renderTourPanel();
+    }
+  }
+
+  // Function to render the tour panel: choose the propostas, or the current tour's stops
+  function renderTourPanel() {
+    const content = document.querySelector("#panelBody #tourContent");
+    if (!content) return;
+
+    content.setAttribute("data-panel-title", t("tourTitle"));
+    document.getElementById("detailsPanelLabel").textContent = t("tourTitle");
+
+    if (!propostasIndex) {
+      content.innerHTML = "";
+      return;
+    }
+
+    if (!tour) {
+      const eixoOptions = Object.keys(eixoCounts)
+        .sort()
+        .map(
+          (eixo) =>
+            `<option value="${escapeHtml(eixo)}">${escapeHtml(getEixoLabel(eixo))} (${eixoCounts[eixo]})</option>`,
+        )
+        .join("");
+
+      content.innerHTML = `
+        <p class="small text-muted">${t("tourIntro")}</p>
+        <label class="form-label small fw-semibold" for="tourEixo">${t("tourPropostas")}</label>
+        <select class="form-select form-select-sm mb-3" id="tourEixo">
+          <option value="">${t("allPropostas")}</option>
+          ${eixoOptions}
+        </select>
+        <button type="button" class="btn btn-primary btn-sm" data-tour-start>
+          ${t("startTour")}
+        </button>
+      `;
+
+      content
+        .querySelector("[data-tour-start]")
+        .addEventListener("click", function () {
+          const eixo = content.querySelector("#tourEixo").value;
+          startTour(
+            getTourFeatures(eixo),
+            eixo ? getEixoLabel(eixo) : t("allPropostas"),
+          );
+        });
+      return;
+    }
+
+    const stops = tour.stops
+      .map((feature, index) => {
+        const properties = feature.properties;
+        const title = getPropostaTitle(properties);
+        const activeClass = index === tour.index ? " active" : "";
+
+        return `
+          <button type="button" class="list-group-item list-group-item-action small${activeClass}" data-tour-stop="${index}">
+            <span class="fw-semibold me-1">${index + 1}.</span>${escapeHtml(title)}
+          </button>
+        `;
+      })
+      .join("");
+
+    content.innerHTML = `
+      <p class="small text-muted mb-2">${escapeHtml(tour.name)} · ${t("propostasCount", { count: tour.stops.length })}</p>
+      <ol class="list-group list-group-flush mb-3 tour-stops">${stops}</ol>
+      <div class="d-flex flex-wrap gap-2">
+        <button type="button" class="btn btn-outline-primary btn-sm" data-tour-export="gpx">${t("exportGpx")}</button>
+        <button type="button" class="btn btn-outline-primary btn-sm" data-tour-export="geojson">${t("exportGeoJSON")}</button>
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-tour-end>${t("endTour")}</button>
+      </div>
+    `;
+
+    content.querySelectorAll("[data-tour-stop]").forEach((item) => {
+      item.addEventListener("click", function () {
+        goToTourStop(Number(item.dataset.tourStop));
+      });
+    });
+    content.querySelectorAll("[data-tour-export]").forEach((button) => {
+      button.addEventListener("click", function () {
+        exportTour(button.dataset.tourExport);
+      });
+    });
+    content
+      .querySelector("[data-tour-end]")
+      .addEventListener("click", endTour);
+  }
+
+  // Function to build a GPX file with a waypoint per stop and the route between them
+  function getTourGpx() {
+    const stops = getTourGeoJSON().features.filter(
+      (feature) => feature.geometry.type === "Point",
+    );
+
+    // Waypoints and route points share the same children, in GPX schema order
+    const gpxPoint = (tag, feature, indent) => {
+      const [lng, lat] = feature.geometry.coordinates;
+      const properties = feature.properties;
+      const lines = [
+        `<${tag} lat="${lat.toFixed(6)}" lon="${lng.toFixed(6)}">`,
+        `  <name>${escapeHtml(`${properties.order}. ${properties.name}`)}</name>`,
+      ];
+
+      if (properties.eixo) {
+        lines.push(`  <desc>${escapeHtml(properties.eixo)}</desc>`);
+      }
+      if (properties.url) {
+        lines.push(`  <link href="${escapeHtml(properties.url)}"/>`);
+      }
+      lines.push(`</${tag}>`);
+
+      return lines.map((line) => indent + line).join("\n");
+    };
+
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<gpx version="1.1" creator="Viver Lisboa" xmlns="http://www.topografix.com/GPX/1/1">`,
+      `  <metadata>`,
+      `    <name>${escapeHtml(tour.name)}</name>`,
+      `  </metadata>`,
+      ...stops.map((feature) => gpxPoint("wpt", feature, "  ")),
+      `  <rte>`,
+      `    <name>${escapeHtml(tour.name)}</name>`,
+      ...stops.map((feature) => gpxPoint("rtept", feature, "    ")),
+      `  </rte>`,
+      `</gpx>`,
+      "",
+    ].join("\n");
+  }
+
+  // Function to download the tour as GPX or GeoJSON
+  function exportTour(format) {
+    const fileName = `percurso-${window.pageData.freguesiaSlug || "lisboa"}`;
+
+    if (format === "gpx") {
+      downloadFile(getTourGpx(), "application/gpx+xml", `${fileName}.gpx`);
+    } else {
+      downloadFile(
+        JSON.stringify(getTourGeoJSON(), null, 2),
+        "application/geo+json",
+        `${fileName}.geojson`,
+      );
+    }
+  }
+
+  // Helper function to download generated content as a file
+  function downloadFile(content, type, fileName) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Function to create the export control button
+  function createExportControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group export-control";
+        container.innerHTML = `<button type="button"></button>`;
+
+        container
+          .querySelector("button")
+          .addEventListener("click", showExportPanel);
+
+        updateExportControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to translate the export control
+  function updateExportControl(container) {
+    const control = container || document.querySelector(".export-control");
+    if (!control) return;
+
+    const button = control.querySelector("button");
+    button.textContent = t("export");
+    button.title = t("exportTitle");
+  }
+
+  // Helper function to get the text typed in the search box
+  function getSearchQuery() {
+    const input = document.querySelector(".propostas-search input");
+    return input ? input.value.trim() : "";
+  }
+
+  // Function to list the propostas shown on the map
+  // Respects the eixo filter and search, and optionally the current map view
+  function getExportFeatures() {
+    if (!propostasIndex) return [];
+
+    let features = propostasIndex.propostas.filter(
+      (feature) =>
+        feature.geometry &&
+        (activeEixos.size === 0 || activeEixos.has(feature.properties["eixo"])),
+    );
+
+    const query = getSearchQuery();
+    if (query) {
+      const matches = searchPropostas(query, Infinity).map(
+        (entry) => entry.feature,
+      );
+      const matchedIds = new Set(matches.map(getFeatureId).filter(Boolean));
+
+      // Keep every location of a matched proposta, not just the indexed one
+      features = features.filter(
+        (feature) =>
+          matches.includes(feature) || matchedIds.has(getFeatureId(feature)),
+      );
+    }
+
+    if (exportInViewOnly) {
+      const bounds = map.getBounds();
+      features = features.filter((feature) =>
+        isFeatureInBounds(feature, bounds),
+      );
+    }
+
+    return features;
+  }
+
+  // Helper function to check whether any part of a proposta is within some bounds
+  function isFeatureInBounds(feature, bounds) {
+    return getGeometryCoordinates(feature.geometry).some((coord) =>
+      bounds.contains(coord),
+    );
+  }
+
+  // Helper function to get the properties of a proposta for export, with its page URL
+  function getExportProperties(feature) {
+    const properties = {};
+
+    Object.keys(feature.properties).forEach((key) => {
+      if (!EXPORT_HIDDEN_PROPERTIES.includes(key)) {
+        properties[key] = feature.properties[key];
+      }
+    });
+
+    if (isValidSlug(feature.properties["slug"])) {
+      properties.url = new URL(
+        getPropostaUrl(
+          feature.properties["slug"],
+          feature.properties["freguesia"],
+        ),
+        window.location.href,
+      ).href;
+    }
+
+    return properties;
+  }
+
+  // Function to build a GeoJSON export
+  function getExportGeoJSON(features) {
+    return JSON.stringify(
+      {
+        type: "FeatureCollection",
+        features: features.map((feature) => ({
+          type: "Feature",
+          geometry: feature.geometry,
+          properties: getExportProperties(feature),
+        })),
+      },
+      null,
+      2,
+    );
+  }
+
+  // Helper function to quote a CSV value
+  // Values starting like a formula are prefixed so spreadsheets show them as text
+  function formatCsvValue(value) {
+    if (value === null || value === undefined) return "";
+
+    let text =
+      typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Function to build a CSV export, one row per feature with its centroid
+  function getExportCsv(features) {
+    const rows = features.map((feature) => {
+      const [longitude, latitude] = getRepresentativeCoordinate(feature);
+      return Object.assign(getExportProperties(feature), {
+        geometry_type: feature.geometry.type,
+        latitude: latitude.toFixed(6),
+        longitude: longitude.toFixed(6),
+      });
+    });
+
+    const columns = [];
+    rows.forEach((row) => {
+      Object.keys(row).forEach((key) => {
+        if (!columns.includes(key)) columns.push(key);
+      });
+    });
+
+    const lines = [
+      columns.map(formatCsvValue).join(","),
+      ...rows.map((row) =>
+        columns.map((column) => formatCsvValue(row[column])).join(","),
+      ),
+    ];
+
+    // The byte order mark lets spreadsheet apps detect UTF-8
+    return "\ufeff" + lines.join("\r\n") + "\r\n";
+  }
+
+  // Helper function to format a list of positions as KML coordinates
+  function formatKmlCoordinates(coordinates) {
+    return coordinates.map((coord) => `${coord[0]},${coord[1]}`).join(" ");
+  }
+
+  // Helper function to convert a polygon's rings to KML
+  function getKmlPolygon(rings) {
+    const [outer, ...inner] = rings;
+    const innerRings = inner
+      .map(
+        (ring) =>
+          `<innerBoundaryIs><LinearRing><coordinates>${formatKmlCoordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`,
+      )
+      .join("");
+
+    return `<Polygon><outerBoundaryIs><LinearRing><coordinates>${formatKmlCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>${innerRings}</Polygon>`;
+  }
+
+  // Function to convert a GeoJSON geometry to KML
+  function getKmlGeometry(geometry) {
+    const coordinates = geometry.coordinates;
+
+    switch (geometry.type) {
+      case "Point":
+        return `<Point><coordinates>${formatKmlCoordinates([coordinates])}</coordinates></Point>`;
+      case "LineString":
+        return `<LineString><coordinates>${formatKmlCoordinates(coordinates)}</coordinates></LineString>`;
+      case "Polygon":
+        return getKmlPolygon(coordinates);
+      case "MultiPoint":
+      case "MultiLineString":
+      case "MultiPolygon":
+        return `<MultiGeometry>${coordinates
+          .map((part) =>
+            getKmlGeometry({
+              type: geometry.type.replace("Multi", ""),
+              coordinates: part,
+            }),
+          )
+          .join("")}</MultiGeometry>`;
+      case "GeometryCollection":
+        return `<MultiGeometry>${geometry.geometries.map(getKmlGeometry).join("")}</MultiGeometry>`;
+      default:
+        return "";
+    }
+  }
+
+  // Function to build a KML export, with every property as extended data
+  function getExportKml(features) {
+    const placemarks = features.map((feature) => {
+      const properties = getExportProperties(feature);
+      const name = getPropostaTitle(properties);
+      const data = Object.keys(properties)
+        .map((key) => {
+          const value =
+            typeof properties[key] === "object"
+              ? JSON.stringify(properties[key])
+              : properties[key];
+          return `<Data name="${escapeHtml(key)}"><value>${escapeHtml(value)}</value></Data>`;
+        })
+        .join("");
+
+      return [
+        `    <Placemark>`,
+        `      <name>${escapeHtml(name)}</name>`,
+        properties["sumario"]
+          ? `      <description>${escapeHtml(properties["sumario"])}</description>`
+          : null,
+        `      <ExtendedData>${data}</ExtendedData>`,
+        `      ${getKmlGeometry(feature.geometry)}`,
+        `    </Placemark>`,
+      ]
+        .filter((line) => line !== null)
+        .join("\n");
+    });
+
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+      `  <Document>`,
+      `    <name>${escapeHtml(document.title)}</name>`,
+      ...placemarks,
+      `  </Document>`,
+      `</kml>`,
+      "",
+    ].join("\n");
+  }
+
+  // Function to download the propostas shown on the map in a format
+  function exportPropostas(format) {
+    const features = getExportFeatures();
+    if (features.length === 0) return;
+
+    const fileName = `propostas-${window.pageData.freguesiaSlug || "lisboa"}`;
+
+    if (format === "csv") {
+      downloadFile(
+        getExportCsv(features),
+        "text/csv;charset=utf-8",
+        `${fileName}.csv`,
+      );
+    } else if (format === "kml") {
+      downloadFile(
+        getExportKml(features),
+        "application/vnd.google-earth.kml+xml",
+        `${fileName}.kml`,
+      );
+    } else {
+      downloadFile(
+        getExportGeoJSON(features),
+        "application/geo+json",
+        `${fileName}.geojson`,
+      );
+    }
+  }
+
+  // Function to show the export panel
+  function showExportPanel() {
+    // Leave any open proposta, as the info button does
+    removeSelectionStyling();
+    if (selectedSlug) {
+      selectedSlug = null;
+      replaceMapState();
+    }
+
+    renderExportPanel();
+    showPanelContent("exportContent");
+
+    const panel = bootstrap.Offcanvas.getOrCreateInstance(
+      document.getElementById("detailsPanel"),
+    );
+    panel.show();
+  }
+
+  // Function to refresh the export panel if it is showing
+  function updateExportPanel() {
+    const content = document.querySelector("#panelBody #exportContent");
+    if (content && !content.classList.contains("d-none")) {
+      renderExportPanel();
+    }
+  }
+
+  // Function to render the export panel: what will be exported and the formats
+  function renderExportPanel() {
+    const content = document.querySelector("#panelBody #exportContent");
+    if (!content) return;
+
+    content.setAttribute("data-panel-title", t("exportTitle"));
+    document.getElementById("detailsPanelLabel").textContent = t("exportTitle");
+
+    const ids = new Set(
+      getExportFeatures().map(
+        (feature) => getFeatureId(feature) || getFeatureKey(feature),
+      ),
+    );
+
+    const filters = [];
+    if (activeEixos.size > 0) {
+      filters.push(
+        Array.from(activeEixos)
+          .map((eixo) => escapeHtml(getEixoLabel(eixo)))
+          .join(", "),
+      );
+    }
+    if (getSearchQuery()) {
+      filters.push(t("exportSearch", { query: escapeHtml(getSearchQuery()) }));
+    }
+
+    content.innerHTML = `
+      <p class="small text-muted">${t("exportIntro")}</p>
+      <p class="small mb-1 fw-semibold">${t("propostasCount", { count: ids.size })}</p>
+      ${filters.length > 0 ? `<p class="small text-muted mb-2">${filters.join(" · ")}</p>` : ""}
+      <div class="form-check mb-3">
+        <input class="form-check-input" type="checkbox" id="exportInViewOnly" ${exportInViewOnly ? "checked" : ""}>
+        <label class="form-check-label small" for="exportInViewOnly">${t("exportInViewOnly")}</label>
+      </div>
+      <div class="d-flex flex-wrap gap-2">
+        <button type="button" class="btn btn-outline-primary btn-sm" data-export-format="geojson">GeoJSON</button>
+        <button type="button" class="btn btn-outline-primary btn-sm" data-export-format="csv">CSV</button>
+        <button type="button" class="btn btn-outline-primary btn-sm" data-export-format="kml">KML</button>
+      </div>
+    `;
+
+    content
+      .querySelector("#exportInViewOnly")
+      .addEventListener("change", function (e) {
+        exportInViewOnly = e.target.checked;
+        renderExportPanel();
+      });
+
+    content.querySelectorAll("[data-export-format]").forEach((button) => {
+      button.disabled = ids.size === 0;
+      button.addEventListener("click", function () {
+        exportPropostas(button.dataset.exportFormat);
+      });
+    });
+  }
+
+  // Function to create the print control button
+  function createPrintControl() {
+    let container;
+
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group print-control";
+        container.innerHTML = `<button type="button"></button>`;
+
+        container
+          .querySelector("button")
+          .addEventListener("click", showPrintPanel);
+
+        updatePrintControl(container);
+        return container;
+      },
+      onRemove: function () {
+        container.remove();
+      },
+    };
+  }
+
+  // Function to translate the print control
+  function updatePrintControl(container) {
+    const control = container || document.querySelector(".print-control");
+    if (!control) return;
+
+    const button = control.querySelector("button");
+    button.textContent = t("print");
+    button.title = t("printTitle");
+  }
+
+  // Function to show the print panel
+  function showPrintPanel() {
+    // Leave any open proposta, as the info button does
+    removeSelectionStyling();
+    if (selectedSlug) {
+      selectedSlug = null;
+      replaceMapState();
+    }
+
+    renderPrintPanel();
+    showPanelContent("printContent");
+
+    const panel = bootstrap.Offcanvas.getOrCreateInstance(
+      document.getElementById("detailsPanel"),
+    );
+    panel.show();
+  }
+
+  // Function to refresh the print panel if it is showing
+  function updatePrintPanel() {
+    const content = document.querySelector("#panelBody #printContent");
+    if (content && !content.classList.contains("d-none")) {
+      renderPrintPanel();
+    }
+  }
+
+  // Function to render the print options
+  function renderPrintPanel() {
+    const content = document.querySelector("#panelBody #printContent");
+    if (!content) return;
+
+    content.setAttribute("data-panel-title", t("printTitle"));
+    document.getElementById("detailsPanelLabel").textContent = t("printTitle");
+
+    // Keep the options chosen so far when re-rendering, e.g. on language change
+    const previous = content.querySelector("form");
+    const options = previous
+      ? {
+          title: previous.elements.title.value,
+          format: previous.elements.format.value,
+          orientation: previous.elements.orientation.value,
+        }
+      : {
+          title: window.pageData.freguesia || document.title,
+          format: "a4",
+          orientation: "portrait",
+        };
+
+    const formatOptions = Object.keys(PRINT_FORMATS)
+      .map(
+        (format) =>
+          `<option value="${format}" ${format === options.format ? "selected" : ""}>${t(`printFormat_${format}`)}</option>`,
+      )
+      .join("");
+
+    const orientationOptions = ["portrait", "landscape"]
+      .map(
+        (orientation) => `
+          <div class="form-check form-check-inline">
+            <input class="form-check-input" type="radio" name="orientation" id="printOrientation-${orientation}" value="${orientation}" ${orientation === options.orientation ? "checked" : ""}>
+            <label class="form-check-label small" for="printOrientation-${orientation}">${t(orientation)}</label>
+          </div>
+        `,
+      )
+      .join("");
+
+    content.innerHTML = `
+      <form>
+        <p class="small text-muted">${t("printIntro")}</p>
+        <label class="form-label small fw-semibold" for="printTitle">${t("printTitleLabel")}</label>
+        <input class="form-control form-control-sm mb-3" id="printTitle" name="title" value="${escapeHtml(options.title)}">
+        <label class="form-label small fw-semibold" for="printFormat">${t("printFormat")}</label>
+        <select class="form-select form-select-sm mb-2" id="printFormat" name="format">
+          ${formatOptions}
+        </select>
+        <div class="mb-3">${orientationOptions}</div>
+        <div class="d-flex flex-wrap gap-2">
+          <button type="button" class="btn btn-primary btn-sm" data-print-action="print">${t("printPage")}</button>
+          <button type="button" class="btn btn-outline-primary btn-sm" data-print-action="download">${t("downloadPng")}</button>
+        </div>
+        <div class="small text-muted mt-2" aria-live="polite" data-print-status></div>
+      </form>
+    `;
+
+    const form = content.querySelector("form");
+    form.addEventListener("submit", (e) => e.preventDefault());
+
+    form.querySelectorAll("[data-print-action]").forEach((button) => {
+      button.addEventListener("click", function () {
+        generatePrint(form, button.dataset.printAction);
+      });
+    });
+  }
+
+  // Function to render the poster and print or download it
+  function generatePrint(form, action) {
+    const format = PRINT_FORMATS[form.elements.format.value];
+    const orientation = form.elements.orientation.value;
+    const status = form.querySelector("[data-print-status]");
+    const buttons = form.querySelectorAll("[data-print-action]");
+
+    const size =
+      orientation === "landscape"
+        ? { width: format.height, height: format.width }
+        : { width: format.width, height: format.height };
+
+    buttons.forEach((button) => (button.disabled = true));
+    status.textContent = t("printPreparing");
+
+    renderPrintCanvas(size, form.elements.title.value.trim())
+      .then((canvas) => new Promise((resolve) => canvas.toBlob(resolve)))
+      .then((blob) => {
+        if (action === "print") {
+          printImage(blob, format.pageSize, orientation);
+        } else {
+          const fileName = `mapa-${window.pageData.freguesiaSlug || "lisboa"}.png`;
+          downloadFile(blob, "image/png", fileName);
+        }
+        status.textContent = "";
+      })
+      .catch((error) => {
+        console.error("Error rendering the map for printing:", error);
+        status.textContent = t("printFailed");
+      })
+      .finally(() => {
+        buttons.forEach((button) => (button.disabled = false));
+      });
+  }
+
+  // Function to render the current view in an offscreen map of a given size
+  // Resolves with the map canvas once every tile has loaded
+  function renderOffscreenMap(width, height, pixelRatio) {
+    const container = document.createElement("div");
+    container.className = "print-render";
+    container.style.width = `${width / pixelRatio}px`;
+    container.style.height = `${height / pixelRatio}px`;
+    document.body.appendChild(container);
+
+    // Zoom so the whole area visible on screen fits in the printed map
+    const screen = map.getContainer();
+    const scale = Math.min(
+      width / pixelRatio / screen.clientWidth,
+      height / pixelRatio / screen.clientHeight,
+    );
+
+    const offscreenMap = new maplibregl.Map({
+      container: container,
+      style: map.getStyle(),
+      center: map.getCenter(),
+      zoom: map.getZoom() + Math.log2(scale),
+      bearing: map.getBearing(),
+      pitch: map.getPitch(),
+      pixelRatio: pixelRatio,
+      interactive: false,
+      attributionControl: false,
+      fadeDuration: 0,
+      canvasContextAttributes: { preserveDrawingBuffer: true },
+    });
+
+    const cleanUp = () => {
+      offscreenMap.remove();
+      container.remove();
+    };
+
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(
+        () => reject(new Error("Timed out loading the map tiles")),
+        PRINT_RENDER_TIMEOUT,
+      );
+
+      offscreenMap.once("idle", () => {
+        clearTimeout(timeout);
+        resolve({
+          canvas: offscreenMap.getCanvas(),
+          zoom: offscreenMap.getZoom(),
+          center: offscreenMap.getCenter(),
+        });
+      });
+      offscreenMap.on("error", (e) => {
+        // Missing tiles are not fatal, the rest of the map still renders
+        if (!e.tile) {
+          clearTimeout(timeout);
+          reject(e.error || new Error("Error loading the map"));
+        }
+      });
+    }).then(
+      (result) => {
+        // Copy the map before removing it, which releases its canvas
+        const copy = document.createElement("canvas");
+        copy.width = result.canvas.width;
+        copy.height = result.canvas.height;
+        copy.getContext("2d").drawImage(result.canvas, 0, 0);
+        cleanUp();
+        return Object.assign(result, { canvas: copy });
+      },
+      (error) => {
+        cleanUp();
+        throw error;
+      },
+    );
+  }
+
+  // Helper function to shorten text with an ellipsis to fit a width
+  function fitText(context, text, maxWidth) {
+    if (context.measureText(text).width <= maxWidth) return text;
+
+    let fitted = text;
+    while (
+      fitted.length > 0 &&
+      context.measureText(`${fitted}…`).width > maxWidth
+    ) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}…`;
+  }
+
+  // Helper function to get the eixos shown on the map, in legend order
+  function getPrintLegendEixos() {
+    return Object.keys(eixoColorMapping)
+      .filter((eixo) => activeEixos.size === 0 || activeEixos.has(eixo))
+      .sort((a, b) =>
+        getEixoLabel(a).localeCompare(getEixoLabel(b), currentLanguage),
+      );
+  }
+
+  // Helper function to get the attribution of the map sources as plain text
+  function getAttributionText() {
+    const sources = map.getStyle().sources;
+    const attributions = new Set();
+
+    Object.keys(sources).forEach((sourceId) => {
+      const attribution = sources[sourceId].attribution;
+      if (!attribution) return;
+
+      const container = document.createElement("div");
+      container.innerHTML = attribution;
+      attributions.add(container.textContent.trim());
+    });
+
+    return Array.from(attributions).join(" ");
+  }
+
+  // Function to draw a scale bar for the printed map
+  function drawScaleBar(context, x, y, maxWidth, metersPerPixel, unit) {
+    const maxMeters = maxWidth * metersPerPixel;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+    const step = [5, 2, 1].find((factor) => factor * magnitude <= maxMeters);
+    const meters = step * magnitude;
+    const width = meters / metersPerPixel;
+    const label = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+
+    context.fillStyle = "rgba(255, 255, 255, 0.85)";
+    context.fillRect(x - unit, y - 3.5 * unit, width + 2 * unit, 4.5 * unit);
+
+    context.strokeStyle = "#212529";
+    context.lineWidth = Math.max(1, unit / 4);
+    context.beginPath();
+    context.moveTo(x, y - unit);
+    context.lineTo(x, y);
+    context.lineTo(x + width, y);
+    context.lineTo(x + width, y - unit);
+    context.stroke();
+
+    context.fillStyle = "#212529";
+    context.textBaseline = "alphabetic";
+    context.fillText(label, x, y - 1.5 * unit);
+  }
+
+  // Function to load the QR code library, resolving once it is ready
+  // A failed load is only logged, the QR code is then left out of what is printed
+  function loadQrCodeLibrary() {
+    if (!qrCodeLibraryLoaded) {
+      qrCodeLibraryLoaded = new Promise((resolve) => {
+        const script = document.createElement("script");
+        script.src = QR_CODE_SCRIPT_URL;
+        script.addEventListener("load", resolve);
+        script.addEventListener("error", () => {
+          console.warn("Could not load the QR code library");
+          qrCodeLibraryLoaded = null;
+          script.remove();
+          resolve();
+        });
+        document.head.appendChild(script);
+      });
+    }
+
+    return qrCodeLibraryLoaded;
+  }
+
+  // Function to draw a QR code for a URL, see loadQrCodeLibrary()
+  // Returns whether it could be drawn
+  function drawQrCode(context, url, x, y, size) {
+    if (typeof window.qrcode !== "function") return false;
+
+    const qr = qrcode(0, "M");
+    qr.addData(url);
+    qr.make();
+
+    // Leave a quiet zone of two modules around the code
+    const count = qr.getModuleCount();
+    const moduleSize = size / (count + 4);
+
+    context.fillStyle = "#ffffff";
+    context.fillRect(x, y, size, size);
+    context.fillStyle = "#000000";
+
+    for (let row = 0; row < count; row++) {
+      for (let col = 0; col < count; col++) {
+        if (qr.isDark(row, col)) {
+          context.fillRect(
+            x + (col + 2) * moduleSize,
+            y + (row + 2) * moduleSize,
+            Math.ceil(moduleSize),
+            Math.ceil(moduleSize),
+          );
+        }
+      }
+    }
+
+    return true;
+  }
+
+  // Function to lay out the printed page: title, map, scale bar, legend and QR code
+  function renderPrintCanvas(size, title) {
+    const unit = Math.min(size.width, size.height) / 100;
+    const margin = 4 * unit;
+    const headerHeight = 11 * unit;
+    const qrSize = 16 * unit;
+
+    const eixos = getPrintLegendEixos();
+    const columns = size.width > size.height ? 3 : 2;
+    const legendRows = Math.ceil(eixos.length / columns);
+    const footerHeight = Math.max(
+      qrSize + 3 * unit,
+      legendRows * 3.2 * unit + 5 * unit,
+    );
+
+    const mapBox = {
+      x: margin,
+      y: margin + headerHeight,
+      width: Math.round(size.width - 2 * margin),
+      height: Math.round(
+        size.height - 2 * margin - headerHeight - footerHeight - 2 * unit,
+      ),
+    };
+    const pixelRatio = Math.min(size.width, size.height) / PRINT_LAYOUT_WIDTH;
+
+    return Promise.all([
+      renderOffscreenMap(mapBox.width, mapBox.height, pixelRatio),
+      loadQrCodeLibrary(),
+    ]).then(([rendered]) => {
+      const canvas = document.createElement("canvas");
+      canvas.width = size.width;
+      canvas.height = size.height;
+
+      const context = canvas.getContext("2d");
+      const fontFamily = getComputedStyle(document.body).fontFamily;
+
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, size.width, size.height);
+
+      // Title and subtitle
+      context.fillStyle = "#212529";
+      context.textBaseline = "top";
+      context.font = `700 ${5 * unit}px ${fontFamily}`;
+      context.fillText(
+        fitText(
+          context,
+          title || window.pageData.freguesia || document.title,
+          mapBox.width,
+        ),
+        margin,
+        margin,
+      );
+      context.fillStyle = "#6c757d";
+      context.font = `${2.2 * unit}px ${fontFamily}`;
+      context.fillText(
+        t("printSubtitle", { count: countPrintedPropostas() }),
+        margin,
+        margin + 6.5 * unit,
+      );
+
+      // Map, with a scale bar and attribution on top
+      context.drawImage(rendered.canvas, mapBox.x, mapBox.y);
+      context.strokeStyle = "#dee2e6";
+      context.lineWidth = Math.max(1, unit / 5);
+      context.strokeRect(mapBox.x, mapBox.y, mapBox.width, mapBox.height);
+
+      const metersPerPixel =
+        (40075016.686 * Math.cos((rendered.center.lat * Math.PI) / 180)) /
+        (512 * Math.pow(2, rendered.zoom)) /
+        pixelRatio;
+      context.font = `${1.6 * unit}px ${fontFamily}`;
+      drawScaleBar(
+        context,
+        mapBox.x + 2 * unit,
+        mapBox.y + mapBox.height - 2 * unit,
+        mapBox.width / 4,
+        metersPerPixel,
+        unit,
+      );
+
+      const attribution = getAttributionText();
+      if (attribution) {
+        context.font = `${1.2 * unit}px ${fontFamily}`;
+        context.textAlign = "right";
+        context.textBaseline = "bottom";
+        context.fillStyle = "rgba(255, 255, 255, 0.85)";
+        const attributionWidth = Math.min(
+          context.measureText(attribution).width,
+          mapBox.width / 2,
+        );
+        context.fillRect(
+          mapBox.x + mapBox.width - attributionWidth - unit,
+          mapBox.y + mapBox.height - 2 * unit,
+          attributionWidth + unit,
+          2 * unit,
+        );
+        context.fillStyle = "#6c757d";
+        context.fillText(
+          fitText(context, attribution, mapBox.width / 2),
+          mapBox.x + mapBox.width - unit / 2,
+          mapBox.y + mapBox.height - unit / 2,
+        );
+        context.textAlign = "left";
+      }
+
+      // Legend of the eixos shown
+      const footerTop = mapBox.y + mapBox.height + 2 * unit;
+      const legendWidth = size.width - 2 * margin - qrSize - 4 * unit;
+      const columnWidth = legendWidth / columns;
+
+      context.textBaseline = "top";
+      context.fillStyle = "#6c757d";
+      context.font = `600 ${1.6 * unit}px ${fontFamily}`;
+      context.fillText(t("eixos").toUpperCase(), margin, footerTop);
+
+      context.font = `${1.8 * unit}px ${fontFamily}`;
+      eixos.forEach((eixo, index) => {
+        const x = margin + Math.floor(index / legendRows) * columnWidth;
+        const y = footerTop + 3.5 * unit + (index % legendRows) * 3.2 * unit;
+
+        context.fillStyle = eixoColorMapping[eixo].color;
+        context.fillRect(x, y, 2.2 * unit, 2.2 * unit);
+        context.fillStyle = "#212529";
+        context.fillText(
+          fitText(context, getEixoLabel(eixo), columnWidth - 4 * unit),
+          x + 3 * unit,
+          y + 0.2 * unit,
+        );
+      });
+
+      // QR code linking back to this view
+      const qrX = size.width - margin - qrSize;
+      drawQrCode(context, window.location.href, qrX, footerTop, qrSize);
+      context.fillStyle = "#6c757d";
+      context.font = `${1.3 * unit}px ${fontFamily}`;
+      context.textAlign = "center";
+      context.fillText(
+        fitText(context, window.location.host, qrSize),
+        qrX + qrSize / 2,
+        footerTop + qrSize + 0.5 * unit,
+      );
+      context.textAlign = "left";
+
+      return canvas;
+    });
+  }
+
+  // Helper function to count the propostas matching the eixo filter
+  function countPrintedPropostas() {
+    if (!propostasIndex) return 0;
+
+    const ids = new Set();
+    propostasIndex.propostas.forEach((feature) => {
+      const properties = feature.properties;
+      if (activeEixos.size > 0 && !activeEixos.has(properties["eixo"])) return;
+
+      ids.add(getFeatureId(feature) || getFeatureKey(feature));
+    });
+
+    return ids.size;
+  }
+
+  // Function to print an image on a single page through a hidden frame
+  function printImage(blob, pageSize, orientation) {
+    const url = URL.createObjectURL(blob);
+
+    printDocument(
+      `
+      <!doctype html>
+      <html>
+        <head>
+          <style>
+            @page { size: ${pageSize || ""} ${orientation}; margin: 0; }
+            html, body { margin: 0; }
+            img { display: block; width: 100%; height: 100vh; object-fit: contain; }
+          </style>
+        </head>
+        <body><img src="${url}" alt=""></body>
+      </html>
+    `,
+      () => URL.revokeObjectURL(url),
+    );
+  }
+
+  // Function to print a document through a hidden frame once its images have loaded
+  // onDone runs after printing, e.g. to release object URLs
+  function printDocument(html, onDone) {
+    const frame = document.createElement("iframe");
+    frame.className = "print-frame";
+    frame.setAttribute("aria-hidden", "true");
+    frame.srcdoc = html;
+
+    frame.addEventListener("load", function () {
+      const frameWindow = frame.contentWindow;
+      const images = Array.from(frame.contentDocument.images);
+
+      const print = () => {
+        frameWindow.addEventListener("afterprint", () => {
+          frame.remove();
+          if (onDone) onDone();
+        });
+        frameWindow.focus();
+        frameWindow.print();
+      };
+
+      Promise.all(
+        images.map((image) =>
+          image.complete
+            ? null
+            : new Promise((resolve) => {
+                image.addEventListener("load", resolve);
+                image.addEventListener("error", resolve);
+              }),
+        ),
+      ).then(print);
+    });
 
-        // Add eixo legend to info panel
-        addEixoLegendToInfoPanel();
+    document.body.appendChild(frame);
+  }
 
-        // Check for URL anchor and highlight feature if present
-        checkUrlAnchorAndHighlight();
+  // Helper function to get the key a proposta is saved under (see shortlist.js)
+  function getShortlistKey(properties) {
+    const freguesia = isCitywide
+      ? properties["freguesia"]
+      : window.pageData.freguesiaSlug;
 
-        const freguesiaFeatures = map.querySourceFeatures("pmtiles-source", {
-          sourceLayer: "border",
-        });
+    return propostasShortlist.getKey(freguesia, properties["slug"]);
+  }
 
-        console.log(
-          `Found ${freguesiaFeatures.length} border features for ${window.pageData?.freguesiaSlug}`,
-        );
+  // Helper function to get the feature id of a saved proposta, or null if it is on another map
+  function getShortlistFeatureId(key) {
+    const separator = key.indexOf("/");
+    const freguesia = separator === -1 ? null : key.substring(0, separator);
+    const slug = key.substring(separator + 1);
 
-        if (freguesiaFeatures.length > 0) {
-          // Combine all border features into one bounds calculation
-          // Get freguesia bounds from ALL border features
-          const bounds = new maplibregl.LngLatBounds();
-
-          freguesiaFeatures.forEach((feature) => {
-            const geometry = feature.geometry;
-
-            if (geometry.type === "Polygon") {
-              // For Polygon, coordinates[0] is the outer ring
-              geometry.coordinates[0].forEach((coord) => {
-                bounds.extend(coord);
-              });
-            } else if (geometry.type === "MultiPolygon") {
-              // For MultiPolygon, iterate through all polygons
-              geometry.coordinates.forEach((polygon) => {
-                // For each polygon, use the outer ring (polygon[0])
-                polygon[0].forEach((coord) => {
-                  bounds.extend(coord);
-                });
-              });
-            }
-          });
+    if (isCitywide) {
+      return freguesia && getFreguesia(freguesia) ? key : null;
+    }
+    return freguesia === (window.pageData.freguesiaSlug || null) ? slug : null;
+  }
 
-          // Get the center of the calculated bounds
-          const boundsCenter = bounds.getCenter();
-          const intendedCenter =
-            window.pageData && window.pageData.mapCenter
-              ? window.pageData.mapCenter
-              : [-9.13628, 38.72614];
+  // Function to get the feature ids of the saved propostas on this map, in the order saved
+  function getSavedIds() {
+    return propostasShortlist
+      .list()
+      .map(getShortlistFeatureId)
+      .filter(Boolean);
+  }
 
-          // Always try to fit bounds, but adjust parameters based on freguesia
-          const freguesiaSlug = window.pageData?.freguesiaSlug || "unknown";
+  // Function to get a feature for each of these propostas, keeping their order
+  // Propostas without a location aren't on the map, so they are left out
+  function getShortlistFeatures(ids) {
+    if (!propostasIndex) return [];
 
-          console.log(`Freguesia: ${freguesiaSlug}`);
-          console.log(
-            `Intended center: [${intendedCenter[0]}, ${intendedCenter[1]}]`,
-          );
-          console.log(
-            `Bounds center: [${boundsCenter.lng}, ${boundsCenter.lat}]`,
-          );
-          console.log(`Bounds:`, bounds.toArray());
-
-          // Adjust fit bounds parameters based on freguesia
-          let fitOptions = {
-            padding: 50,
-            duration: 1500,
-          };
-
-          // Different freguesias may need different zoom constraints
-          switch (freguesiaSlug) {
-            case "arroios":
-              fitOptions.maxZoom = 15;
-              break;
-            case "alvalade":
-              fitOptions.maxZoom = 14;
-              fitOptions.padding = 100;
-              break;
-            case "santo-antonio":
-              fitOptions.maxZoom = 14;
-              fitOptions.padding = 100;
-              break;
-            default:
-              fitOptions.maxZoom = 14;
-              break;
-          }
+    const wanted = new Set(ids);
+    const featuresById = new Map(
+      getUniquePropostas((feature) => wanted.has(getFeatureId(feature))).map(
+        (feature) => [getFeatureId(feature), feature],
+      ),
+    );
 
-          console.log(`Applying fitBounds with options:`, fitOptions);
-          map.fitBounds(bounds, fitOptions);
-        }
-      }
-    });
+    return ids.map((id) => featuresById.get(id)).filter(Boolean);
+  }
 
-    // Add hover effect for markers
-    map.on("mouseenter", "propostas-markers", function () {
-      map.getCanvas().style.cursor = "pointer";
-    });
+  // Function to ring the saved propostas on the map
+  function updateSavedFeatures() {
+    setFeatureStateIds("saved", getSavedIds());
+  }
 
-    map.on("mouseleave", "propostas-markers", function () {
-      map.getCanvas().style.cursor = "";
-    });
+  // Function to fit the map to a set of propostas
+  function fitMapToFeatures(features) {
+    if (features.length === 0) return;
 
-    // Add hover effect for polygons
-    map.on("mouseenter", "propostas-polygons-fill", function () {
-      map.getCanvas().style.cursor = "pointer";
+    const bounds = new maplibregl.LngLatBounds();
+    features.forEach((feature) => {
+      getGeometryCoordinates(feature.geometry).forEach((coord) =>
+        bounds.extend(coord),
+      );
     });
 
-    map.on("mouseleave", "propostas-polygons-fill", function () {
-      map.getCanvas().style.cursor = "";
+    map.fitBounds(bounds, {
+      padding: getFitPadding(),
+      maxZoom: mapView.maxZoom - 2,
+      duration: 1000,
     });
+  }
 
-    // Add hover effect for linestrings
-    map.on("mouseenter", "propostas-linestrings", function () {
-      map.getCanvas().style.cursor = "pointer";
+  // Helper function to build a link to the map showing a shortlist
+  function getShortlistUrl(ids) {
+    const state = Object.assign(getCurrentMapState(), {
+      slug: null,
+      shortlist: ids,
     });
 
-    map.on("mouseleave", "propostas-linestrings", function () {
-      map.getCanvas().style.cursor = "";
-    });
+    return new URL(buildMapStateUrl(state), window.location.href).href;
+  }
 
-    console.log("Propostas layer loaded successfully!");
+  // Function to create the button opening the shortlist
+  function createShortlistControl() {
+    let container;
 
-    // Set up click handlers after a small delay to ensure layers are fully registered
-    setTimeout(() => {
-      setupClickHandlers();
-    }, 100);
-  }
+    return {
+      onAdd: function () {
+        container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group shortlist-control";
+        container.innerHTML = `<button type="button"></button>`;
 
-  // Helper function to remove previous selection styling
-  function removeSelectionStyling() {
-    if (map.getLayer("propostas-markers-selected")) {
-      map.removeLayer("propostas-markers-selected");
-      map.removeSource("propostas-markers-selected");
-    }
-    if (map.getLayer("propostas-polygons-selected")) {
-      map.removeLayer("propostas-polygons-selected");
-      map.removeSource("propostas-polygons-selected");
-    }
-    if (map.getLayer("propostas-linestrings-selected")) {
-      map.removeLayer("propostas-linestrings-selected");
-      map.removeSource("propostas-linestrings-selected");
-    }
-  }
+        container
+          .querySelector("button")
+          .addEventListener("click", function () {
+            sharedShortlistIds = null;
+            showShortlistPanel();
+          });
 
-  // Helper function to add highlight styling for markers
-  function highlightMarker(feature) {
-    map.addSource("propostas-markers-selected", {
-      type: "geojson",
-      data: {
-        type: "FeatureCollection",
-        features: [feature],
+        updateShortlistControl(container);
+        return container;
       },
-    });
-
-    map.addLayer({
-      id: "propostas-markers-selected",
-      type: "circle",
-      source: "propostas-markers-selected",
-      paint: {
-        "circle-radius": 12,
-        "circle-color": "transparent",
-        "circle-stroke-color": "#000000",
-        "circle-stroke-width": 5,
-        "circle-stroke-opacity": 0.8,
+      onRemove: function () {
+        container.remove();
       },
-    });
+    };
   }
 
-  // Helper function to add highlight styling for polygons
-  function highlightPolygon(feature) {
-    map.addSource("propostas-polygons-selected", {
-      type: "geojson",
-      data: {
-        type: "FeatureCollection",
-        features: [feature],
-      },
-    });
+  // Function to translate the shortlist control and show how many propostas are saved
+  function updateShortlistControl(container) {
+    const control = container || document.querySelector(".shortlist-control");
+    if (!control) return;
 
-    map.addLayer({
-      id: "propostas-polygons-selected",
-      type: "line",
-      source: "propostas-polygons-selected",
-      paint: {
-        "line-color": "#000000",
-        "line-width": 5,
-        "line-opacity": 0.8,
-        "line-dasharray": [2, 2],
-      },
-    });
+    const count = getSavedIds().length;
+    const button = control.querySelector("button");
+    button.textContent =
+      count > 0 ? `${t("shortlist")} · ${count}` : t("shortlist");
+    button.title = t("shortlistTitle");
   }
 
-  // Helper function to add highlight styling for linestrings
-  function highlightLineString(feature) {
-    map.addSource("propostas-linestrings-selected", {
-      type: "geojson",
-      data: {
-        type: "FeatureCollection",
-        features: [feature],
-      },
-    });
+  // Function to show the shortlist panel
+  function showShortlistPanel() {
+    // Leave any open proposta, as the info button does
+    removeSelectionStyling();
+    if (selectedSlug) {
+      selectedSlug = null;
+      replaceMapState();
+    }
 
-    map.addLayer({
-      id: "propostas-linestrings-selected",
-      type: "line",
-      source: "propostas-linestrings-selected",
-      paint: {
-        "line-color": "#000000",
-        "line-width": 6,
-        "line-opacity": 0.9,
-        "line-dasharray": [3, 3],
-      },
-    });
+    renderShortlistPanel();
+    showPanelContent("shortlistContent");
+
+    const panel = bootstrap.Offcanvas.getOrCreateInstance(
+      document.getElementById("detailsPanel"),
+    );
+    panel.show();
   }
 
-  // Helper function to create panel content for both markers and polygons
-  function createPanelContent(properties) {
-    // Use the appropriate title property (Name for markers, name for polygons)
-    const title = properties["Name"] || properties["name"] || "Proposta";
+  // Function to refresh the shortlist panel if it is showing
+  function updateShortlistPanel() {
+    const content = document.querySelector("#panelBody #shortlistContent");
+    if (content && !content.classList.contains("d-none")) {
+      renderShortlistPanel();
+    }
+  }
 
-    let panelContent = `<h3>${title}</h3>`;
+  // Function to render the shortlist panel: the saved (or shared) propostas and what
+  // can be done with them
+  function renderShortlistPanel() {
+    const content = document.querySelector("#panelBody #shortlistContent");
+    if (!content) return;
 
-    // Add main proposta content
-    if (properties["proposta"]) {
-      panelContent += `<p class="lead">${properties["proposta"]}</p>`;
-    }
+    const isShared = !!sharedShortlistIds;
+    const title = isShared ? t("sharedShortlistTitle") : t("shortlistTitle");
+    content.setAttribute("data-panel-title", title);
+    document.getElementById("detailsPanelLabel").textContent = title;
 
-    // Add description (for markers) or sumario (for polygons)
-    if (properties["description"]) {
-      panelContent += `<p>${properties["description"]}</p>`;
-    } else if (properties["sumario"]) {
-      panelContent += `<p>${properties["sumario"]}</p>`;
+    if (!propostasIndex) {
+      content.innerHTML = "";
+      return;
     }
 
-    // Add eixo badge if it exists (for polygons)
-    if (properties["eixo"]) {
-      const badgeClass = getEixoBadgeClass(properties["eixo"]);
-      panelContent += `<p><span class="badge ${badgeClass}">${properties["eixo"]}</span></p>`;
+    const features = getShortlistFeatures(
+      isShared ? sharedShortlistIds : getSavedIds(),
+    );
+
+    let intro = t("shortlistIntro");
+    if (isShared) {
+      intro = t("sharedShortlistIntro");
+    } else if (features.length === 0) {
+      intro = t("shortlistEmpty");
     }
 
-    return addCommonPanelElements(panelContent, properties);
+    const items = features
+      .map((feature, index) => {
+        const title = getPropostaTitle(feature.properties);
+        const removeButton = isShared
+          ? ""
+          : `
+            <button type="button" class="btn btn-sm btn-link text-muted p-0" data-shortlist-remove="${index}" aria-label="${escapeHtml(t("removeFromShortlist", { title: title }))}" title="${escapeHtml(t("removeFromShortlist", { title: title }))}">
+              <i class="bi bi-x-lg"></i>
+            </button>
+          `;
+
+        return `
+          <li class="list-group-item d-flex align-items-start gap-2 px-0">
+            <button type="button" class="btn btn-link btn-sm p-0 text-start flex-grow-1" data-shortlist-item="${index}">${escapeHtml(title)}</button>
+            ${removeButton}
+          </li>
+        `;
+      })
+      .join("");
+
+    const sharedActions = isShared
+      ? `
+        <button type="button" class="btn btn-primary btn-sm" data-shortlist-save-all>${t("saveAll")}</button>
+        <button type="button" class="btn btn-outline-secondary btn-sm" data-shortlist-mine>${t("showMyShortlist")}</button>
+      `
+      : "";
+    const shareAction = isShared
+      ? ""
+      : `<button type="button" class="btn btn-outline-primary btn-sm" data-shortlist-share>${t("copyLink")}</button>`;
+
+    content.innerHTML = `
+      <p class="small text-muted">${intro}</p>
+      ${features.length > 0 ? `<ol class="list-group list-group-flush mb-3">${items}</ol>` : ""}
+      <div class="d-flex flex-wrap gap-2">
+        ${sharedActions}
+        <button type="button" class="btn btn-outline-primary btn-sm" data-shortlist-fit>${t("showOnMap")}</button>
+        <button type="button" class="btn btn-outline-primary btn-sm" data-shortlist-tour>${t("startTour")}</button>
+        <button type="button" class="btn btn-outline-primary btn-sm" data-shortlist-print>${t("printSummary")}</button>
+        ${shareAction}
+      </div>
+      <div class="small text-muted mt-2 text-break" aria-live="polite" data-shortlist-status></div>
+    `;
+
+    content.querySelectorAll("[data-shortlist-item]").forEach((item) => {
+      item.addEventListener("click", function () {
+        highlightFeature(features[Number(item.dataset.shortlistItem)]);
+      });
+    });
+    content.querySelectorAll("[data-shortlist-remove]").forEach((button) => {
+      button.addEventListener("click", function () {
+        const feature = features[Number(button.dataset.shortlistRemove)];
+        propostasShortlist.remove(getShortlistKey(feature.properties));
+      });
+    });
+
+    content
+      .querySelectorAll(
+        "[data-shortlist-fit], [data-shortlist-tour], [data-shortlist-print], [data-shortlist-share], [data-shortlist-save-all]",
+      )
+      .forEach((button) => {
+        button.disabled = features.length === 0;
+      });
+
+    content
+      .querySelector("[data-shortlist-fit]")
+      .addEventListener("click", () => fitMapToFeatures(features));
+    content
+      .querySelector("[data-shortlist-tour]")
+      .addEventListener("click", () => startTour(features, title));
+    content
+      .querySelector("[data-shortlist-print]")
+      .addEventListener("click", () => printShortlist(features, title));
+
+    if (isShared) {
+      content
+        .querySelector("[data-shortlist-save-all]")
+        .addEventListener("click", function () {
+          sharedShortlistIds = null;
+          propostasShortlist.add(
+            features.map((feature) => getShortlistKey(feature.properties)),
+          );
+        });
+      content
+        .querySelector("[data-shortlist-mine]")
+        .addEventListener("click", function () {
+          sharedShortlistIds = null;
+          renderShortlistPanel();
+        });
+    } else {
+      content
+        .querySelector("[data-shortlist-share]")
+        .addEventListener("click", function () {
+          copyShortlistLink(
+            features.map(getFeatureId),
+            content.querySelector("[data-shortlist-status]"),
+          );
+        });
+    }
   }
 
-  // Function to add eixo legend to the general info panel
-  function addEixoLegendToInfoPanel() {
-    const infoPanel = document.getElementById("generalInfoContent");
-    if (!infoPanel || Object.keys(eixoColorMapping).length === 0) {
+  // Function to copy a link to the shortlist, showing it instead if it can't be copied
+  function copyShortlistLink(ids, status) {
+    const url = getShortlistUrl(ids);
+    const showLink = () => {
+      status.textContent = url;
+    };
+
+    if (!navigator.clipboard) {
+      showLink();
       return;
     }
 
-    // Create legend HTML
-    let legendHTML = `
-      <div class="mb-3 pb-2 border-bottom">
-        <div class="fw-semibold text-body-secondary small text-uppercase mb-2">
-          Eixos
-        </div>
-        <div class="text-dark">
-    `;
+    navigator.clipboard
+      .writeText(url)
+      .then(() => {
+        status.textContent = t("linkCopied");
+      })
+      .catch(showLink);
+  }
 
-    // Sort eixos alphabetically for display
-    const sortedEixos = Object.keys(eixoColorMapping).sort();
+  // Function to print a one-page summary of a shortlist, with a QR code linking back to it
+  function printShortlist(features, title) {
+    loadQrCodeLibrary().then(() => printShortlistSummary(features, title));
+  }
 
-    sortedEixos.forEach((eixo) => {
-      const badgeClass = getEixoBadgeClass(eixo);
-      legendHTML += `
-        <div class="d-flex align-items-center mb-1">
-          <span class="badge ${badgeClass} me-2" style="min-width: 20px; font-size: 0.7rem;">&nbsp;</span>
-          <span class="small">${eixo}</span>
-        </div>
-      `;
+  // Helper function to lay out and print the shortlist summary once the QR code library is ready
+  function printShortlistSummary(features, title) {
+    const url = getShortlistUrl(features.map(getFeatureId));
+    const date = new Date().toLocaleDateString(currentLanguage, {
+      dateStyle: "long",
     });
 
-    legendHTML += `
-        </div>
-      </div>
-    `;
+    const qrCanvas = document.createElement("canvas");
+    qrCanvas.width = 240;
+    qrCanvas.height = 240;
+    const hasQrCode = drawQrCode(qrCanvas.getContext("2d"), url, 0, 0, 240);
 
-    // Insert the legend before the last div (navigation section)
-    const lastSection = infoPanel.querySelector(".mb-0");
-    if (lastSection) {
-      lastSection.insertAdjacentHTML("beforebegin", legendHTML);
-    }
+    const items = features
+      .map((feature) => {
+        const properties = feature.properties;
+        const eixo = properties["eixo"];
+        let summary = properties["sumario"] || properties["proposta"] || "";
+        if (summary.length > SHORTLIST_PRINT_SUMMARY_LENGTH) {
+          summary =
+            summary.slice(0, SHORTLIST_PRINT_SUMMARY_LENGTH).trimEnd() + "…";
+        }
+
+        const eixoLabel = eixo
+          ? `<div class="eixo"><span style="background: ${escapeHtml((eixoColorMapping[eixo] || {}).color || "#6c757d")}"></span>${escapeHtml(getEixoLabel(eixo))}</div>`
+          : "";
+
+        return `
+          <li>
+            <strong>${escapeHtml(getPropostaTitle(properties))}</strong>
+            ${eixoLabel}
+            ${summary ? `<p>${escapeHtml(summary)}</p>` : ""}
+          </li>
+        `;
+      })
+      .join("");
+
+    printDocument(`
+      <!doctype html>
+      <html lang="${escapeHtml(currentLanguage)}">
+        <head>
+          <title>${escapeHtml(title)}</title>
+          <style>
+            @page { size: A4 portrait; margin: 14mm; }
+            body { margin: 0; font-family: ${getComputedStyle(document.body).fontFamily}; font-size: 10pt; color: #212529; }
+            header { display: flex; justify-content: space-between; gap: 1rem; border-bottom: 1px solid #dee2e6; padding-bottom: 0.5rem; margin-bottom: 0.75rem; }
+            h1 { font-size: 18pt; margin: 0 0 0.25rem; }
+            header p { margin: 0; color: #6c757d; }
+            header img { width: 28mm; height: 28mm; }
+            ol { margin: 0; padding-left: 1.25rem; }
+            li { margin-bottom: 0.5rem; break-inside: avoid; }
+            li p { margin: 0.1rem 0 0; }
+            .eixo { font-size: 8pt; color: #6c757d; }
+            .eixo span { display: inline-block; width: 0.6rem; height: 0.6rem; border-radius: 50%; margin-right: 0.3rem; }
+            footer { margin-top: 0.75rem; font-size: 8pt; color: #6c757d; word-break: break-all; }
+          </style>
+        </head>
+        <body>
+          <header>
+            <div>
+              <h1>${escapeHtml(title)}</h1>
+              <p>${escapeHtml(window.pageData.freguesia || document.title)} · ${t("propostasCount", { count: features.length })} · ${escapeHtml(date)}</p>
+            </div>
+            ${hasQrCode ? `<img src="${qrCanvas.toDataURL()}" alt="">` : ""}
+          </header>
+          <ol>${items}</ol>
+          <footer>${escapeHtml(t("shortlistPrintLink"))} ${escapeHtml(url)}</footer>
+        </body>
+      </html>
+    `);
   }
 
   // Helper function to add common panel elements (link and images)
   function addCommonPanelElements(panelContent, properties) {
-    // Add link to full proposal page if slug exists
-    if (properties["slug"] && properties["slug"].trim() !== "") {
+    // Add link to full proposal page if the slug is valid, and a button to save it
+    if (isValidSlug(properties["slug"])) {
       panelContent += `
-        <div class="mt-3 mb-3">
-          <a href="./propostas/${properties["slug"]}/" class="btn btn-primary btn-sm">
+        <div class="mt-3 mb-3 d-flex flex-wrap gap-2">
+          <a href="${escapeHtml(getPropostaUrl(properties["slug"], properties["freguesia"]))}" class="btn btn-primary btn-sm">
             <i class="bi bi-arrow-right-circle-fill me-2"></i>
-            Ver Proposta Completa
+            ${t("viewFullProposta")}
           </a>
+          <button
+            type="button"
+            class="btn btn-outline-primary btn-sm"
+            data-shortlist-key="${escapeHtml(getShortlistKey(properties))}"
+            data-label-save="${escapeHtml(t("saveProposta"))}"
+            data-label-saved="${escapeHtml(t("savedProposta"))}"
+          >
+            <i class="bi bi-bookmark me-2"></i><span data-shortlist-label>${t("saveProposta")}</span>
+          </button>
         </div>
       `;
     }
 
-    // Add images if gx_media_links exists
-    if (
-      properties["gx_media_links"] &&
-      properties["gx_media_links"].trim() !== ""
-    ) {
-      const imageUrls = properties["gx_media_links"].trim().split(/\s+/);
-      panelContent += '<div class="mt-3">';
-      imageUrls.forEach((imageUrl, index) => {
-        panelContent += `
-          <img src="${imageUrl}" class="img-fluid rounded mb-2" alt="Proposta image ${index + 1}" style="max-width: 100%; height: auto; display: block;">
-        `;
-      });
-      panelContent += "</div>";
+    // Add an image gallery if gx_media_links has any valid image URLs
+    const imageUrls = parseImageUrls(properties["gx_media_links"]);
+    if (imageUrls.length > 0) {
+      panelContent += `
+        <div class="mt-3">
+          ${window.imageGallery.render(imageUrls, {
+            captions: imageUrls.map((imageUrl, index) =>
+              t("propostaImage", { index: index + 1 }),
+            ),
+            labels: getGalleryLabels(),
+          })}
+        </div>
+      `;
     }
 
     return panelContent;
   }
 
+  // Helper function to get the image gallery labels in the current language
+  function getGalleryLabels() {
+    // Placeholders are left in for the gallery to fill in
+    return {
+      open: t("openImage"),
+      close: t("closeImage"),
+      previous: t("previousImage"),
+      next: t("nextImage"),
+      unavailable: t("imageUnavailable"),
+    };
+  }
+
   // Helper function to show panel with content
   function showPanelWithContent(panelContent) {
     // Show marker content and populate it
@@ -657,6 +5235,8 @@ document.addEventListener("DOMContentLoaded", function () {
     );
     if (markerContentInPanel) {
       markerContentInPanel.innerHTML = panelContent;
+      window.imageGallery.setup(markerContentInPanel);
+      propostasShortlist.updateButtons(markerContentInPanel);
     }
 
     // Show the offcanvas panel
@@ -666,65 +5246,238 @@ document.addEventListener("DOMContentLoaded", function () {
     panel.show();
   }
 
+  // Helper function to hide the details panel if it is showing a proposta
+  // Returns whether it was open, so a hidden.bs.offcanvas event will follow
+  function hideDetailsPanel() {
+    const markerContent = document.querySelector("#panelBody #markerContent");
+    if (!markerContent || markerContent.classList.contains("d-none")) {
+      return false;
+    }
+
+    const panelElement = document.getElementById("detailsPanel");
+    const panel = bootstrap.Offcanvas.getInstance(panelElement);
+    if (!panel || !panelElement.classList.contains("show")) {
+      return false;
+    }
+
+    panel.hide();
+    return true;
+  }
+
   // Function to set up click handlers (called after layers are loaded)
   function setupClickHandlers() {
     // Add single map click handler that prioritizes markers over polygons and linestrings
     map.on("click", function (e) {
-      // Query all features at the click point
-      const markerFeatures = map.queryRenderedFeatures(e.point, {
-        layers: ["propostas-markers"],
-      });
+      hideHoverPreview();
 
-      const polygonFeatures = map.queryRenderedFeatures(e.point, {
-        layers: ["propostas-polygons-fill"],
-      });
+      // Place the nearby pin instead of selecting anything
+      if (isPlacingPin) {
+        placeNearbyPin(e.lngLat);
+        return;
+      }
 
-      const linestringFeatures = map.queryRenderedFeatures(e.point, {
-        layers: ["propostas-linestrings"],
+      // Zoom in on clusters before anything else
+      const clusterFeatures = map.queryRenderedFeatures(e.point, {
+        layers: ["propostas-clusters"],
       });
 
-      // Prioritize markers over polygons and linestrings
-      if (markerFeatures.length > 0) {
-        // Handle marker click
-        const properties = markerFeatures[0].properties;
+      if (clusterFeatures.length > 0) {
+        closeOverlapChooser();
+        expandCluster(clusterFeatures[0]);
+        return;
+      }
 
-        // Remove previous selection styling
-        removeSelectionStyling();
+      // Query all features at the click point
+      const features = queryPropostasAt(e.point);
 
-        // Highlight selected marker
-        highlightMarker(markerFeatures[0]);
+      closeOverlapChooser();
+      closeFreguesiaPopup();
 
-        // Create panel content and show panel
-        const panelContent = createPanelContent(properties);
-        showPanelWithContent(panelContent);
-      } else if (linestringFeatures.length > 0) {
-        // Handle linestring click (priority over polygons)
-        const properties = linestringFeatures[0].properties;
+      if (features.length === 1) {
+        selectFeature(features[0]);
+      } else if (features.length > 1) {
+        showOverlapChooser(features, e.lngLat);
+      } else if (isCitywide) {
+        // Clicking elsewhere in a freguesia offers to zoom in or open its page
+        const borderFeatures = map.queryRenderedFeatures(e.point, {
+          layers: getLayerIds("freguesia-border-fill"),
+        });
+        const tileset = borderFeatures.length
+          ? findTileset(borderFeatures[0].source)
+          : null;
 
-        // Remove previous selection styling
-        removeSelectionStyling();
+        if (tileset) {
+          showFreguesiaPopup(tileset.freguesia, e.lngLat);
+        }
+      } else if (map.getLayer("neighbour-borders-fill")) {
+        // Clicking a neighbouring freguesia offers to open its page
+        const neighbours = map.queryRenderedFeatures(e.point, {
+          layers: ["neighbour-borders-fill"],
+        });
+
+        if (neighbours.length > 0) {
+          showNeighbourPopup(neighbours[0], e.lngLat);
+        }
+      }
+    });
+  }
 
-        // Highlight selected linestring
-        highlightLineString(linestringFeatures[0]);
+  // Helper function to drop features returned more than once (e.g. once per tile)
+  function uniqueFeatures(features) {
+    const seen = new Set();
 
-        // Create panel content and show panel
-        const panelContent = createPanelContent(properties);
-        showPanelWithContent(panelContent);
-      } else if (polygonFeatures.length > 0) {
-        // Handle polygon click (lowest priority)
-        const properties = polygonFeatures[0].properties;
+    return features.filter((feature) => {
+      const key = getFeatureKey(feature);
 
-        // Remove previous selection styling
-        removeSelectionStyling();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
 
-        // Highlight selected polygon
-        highlightPolygon(polygonFeatures[0]);
+  // Helper function to identify a feature across tiles and sources
+  function getFeatureKey(feature) {
+    const properties = feature.properties || {};
+    return [
+      properties["freguesia"],
+      properties["slug"],
+      properties["Name"] || properties["name"],
+      properties["proposta"],
+      feature.geometry.type,
+    ].join("|");
+  }
 
-        // Create panel content and show panel
-        const panelContent = createPanelContent(properties);
-        showPanelWithContent(panelContent);
-      }
+  // Helper function to describe a feature's geometry type
+  function getGeometryTypeLabel(feature) {
+    const type = feature.geometry.type.replace(/^Multi/, "");
+    return GEOMETRY_TYPE_LABELS[type] || GEOMETRY_TYPE_LABELS.Point;
+  }
+
+  // Function to show a chooser listing all propostas under the cursor
+  function showOverlapChooser(features, lngLat) {
+    const container = document.createElement("div");
+    container.className = "overlap-chooser";
+
+    let chooserHTML = `
+      <div class="fw-semibold small mb-2">${t("propostasAtLocation", { count: features.length })}</div>
+      <div class="list-group list-group-flush" role="listbox" aria-label="${t("propostasAtLocation", { count: features.length })}">
+    `;
+
+    features.forEach((feature, index) => {
+      const properties = feature.properties;
+      const title = getPropostaTitle(properties);
+      const geometryType = getGeometryTypeLabel(feature);
+      const eixoBadge = properties["eixo"]
+        ? `<span class="badge ${getEixoBadgeClass(properties["eixo"])} text-wrap">${escapeHtml(getEixoLabel(properties["eixo"]))}</span>`
+        : "";
+
+      chooserHTML += `
+        <button type="button" class="list-group-item list-group-item-action px-2 py-2" role="option" data-index="${index}">
+          <div class="small fw-semibold">${escapeHtml(title)}</div>
+          <div class="d-flex flex-wrap align-items-center gap-2 mt-1">
+            <span class="small text-muted text-nowrap">
+              <i class="bi ${geometryType.icon} me-1"></i>${t(geometryType.label)}
+            </span>
+            ${eixoBadge}
+          </div>
+        </button>
+      `;
+    });
+
+    chooserHTML += "</div>";
+    container.innerHTML = chooserHTML;
+
+    const items = Array.from(container.querySelectorAll("[data-index]"));
+
+    items.forEach((item, index) => {
+      item.addEventListener("click", function () {
+        closeOverlapChooser();
+        selectFeature(features[index], { overlapping: features });
+      });
+
+      // Arrow keys move between entries, Escape closes the chooser
+      item.addEventListener("keydown", function (e) {
+        if (e.key === "ArrowDown") {
+          e.preventDefault();
+          items[(index + 1) % items.length].focus();
+        } else if (e.key === "ArrowUp") {
+          e.preventDefault();
+          items[(index - 1 + items.length) % items.length].focus();
+        } else if (e.key === "Home") {
+          e.preventDefault();
+          items[0].focus();
+        } else if (e.key === "End") {
+          e.preventDefault();
+          items[items.length - 1].focus();
+        } else if (e.key === "Escape") {
+          closeOverlapChooser();
+          map.getCanvas().focus();
+        }
+      });
     });
+
+    overlapPopup = new maplibregl.Popup({
+      className: "overlap-chooser-popup",
+      maxWidth: "320px",
+      focusAfterOpen: false,
+    })
+      .setLngLat(lngLat)
+      .setDOMContent(container)
+      .addTo(map);
+
+    items[0].focus();
+  }
+
+  // Function to close the overlapping propostas chooser
+  function closeOverlapChooser() {
+    if (overlapPopup) {
+      overlapPopup.remove();
+      overlapPopup = null;
+    }
+  }
+
+  // Function to build previous/next navigation between overlapping propostas
+  function createOverlapNavigation() {
+    if (overlappingFeatures.length < 2) {
+      return "";
+    }
+
+    return `
+      <div class="d-flex align-items-center justify-content-between border rounded px-2 py-1 mb-3 overlap-navigation">
+        <button type="button" class="btn btn-sm btn-link text-decoration-none" data-overlap-step="-1" aria-label="${t("previousOverlap")}">
+          <i class="bi bi-chevron-left"></i>
+        </button>
+        <span class="small text-muted">
+          ${t("overlapPosition", { index: overlappingIndex + 1, count: overlappingFeatures.length })}
+        </span>
+        <button type="button" class="btn btn-sm btn-link text-decoration-none" data-overlap-step="1" aria-label="${t("nextOverlap")}">
+          <i class="bi bi-chevron-right"></i>
+        </button>
+      </div>
+    `;
+  }
+
+  // Function to wire up the previous/next overlapping proposta buttons
+  function setupOverlapNavigation() {
+    document
+      .querySelectorAll("#panelBody #markerContent [data-overlap-step]")
+      .forEach((button) => {
+        button.addEventListener("click", function () {
+          const step = Number(button.dataset.overlapStep);
+          const count = overlappingFeatures.length;
+          const nextIndex = (overlappingIndex + step + count) % count;
+
+          selectFeature(overlappingFeatures[nextIndex], {
+            overlapping: overlappingFeatures,
+          });
+
+          // Keep focus on the same control after the panel is re-rendered
+          const sameButton = document.querySelector(
+            `#panelBody #markerContent [data-overlap-step="${step}"]`,
+          );
+          if (sameButton) sameButton.focus();
+        });
+      });
   }
 
   // Initialize panel content from page templates
@@ -764,26 +5517,124 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
-  // Listen for hash changes to highlight features when URL changes
-  window.addEventListener("hashchange", function () {
-    checkUrlAnchorAndHighlight();
-  });
+  // Function to let a propostas listing page drive the map next to its cards
+  function setupListingMap() {
+    window.propostasMap = {
+      showPropostas: showListedPropostas,
+      hoverProposta: setHoverHighlight,
+      pickPoint: startPlacingPin,
+      showPoint: showNearbyPin,
+    };
 
-  // Add event listener for the more info button
-  document.getElementById("moreInfoBtn").addEventListener("click", function () {
-    // Remove previous selection styling if exists
-    removeSelectionStyling();
+    map.on("moveend", notifyListingView);
+  }
 
-    // Show general info content
-    showPanelContent("generalInfoContent");
+  // Function to show only the propostas with these ids (null shows them all)
+  function showListedPropostas(ids) {
+    listingIds = ids ? new Set(ids) : null;
+    if (propostasIndex) {
+      applyEixoFilter();
+    }
+  }
 
-    // Show the offcanvas panel
-    const panel = new bootstrap.Offcanvas(
-      document.getElementById("detailsPanel"),
-    );
-    panel.show();
+  // Helper function to build a layer filter keeping the listed propostas of a tileset
+  // Tile features are identified by their feature_id within the tileset's freguesia
+  function createListingFilter(tileset) {
+    const featureIds = Array.from(listingIds)
+      .map(splitFeatureId)
+      .filter((parts) => parts.freguesia === tileset.freguesia)
+      .map((parts) => parts.featureId);
+
+    return ["in", ["get", "feature_id"], ["literal", featureIds]];
+  }
+
+  // Function to tell the listing page which propostas are in view
+  function notifyListingView() {
+    if (!propostasIndex) return;
+
+    const bounds = map.getBounds();
+    const ids = getUniquePropostas((feature) =>
+      isFeatureInBounds(feature, bounds),
+    )
+      .map(getFeatureId)
+      .filter(Boolean);
+
+    dispatchListingEvent("view", { ids: ids });
+  }
+
+  // Helper function to send an event to the listing page through the map container
+  function dispatchListingEvent(name, detail) {
+    map
+      .getContainer()
+      .dispatchEvent(new CustomEvent(`propostas:${name}`, { detail: detail }));
+  }
+
+  // Keep the saved propostas in line with the shortlist, which other tabs and pages share
+  window.addEventListener("propostas:shortlist", function () {
+    updateShortlistControl();
+    if (!propostasIndex) return;
+
+    updateSavedFeatures();
+    updateShortlistPanel();
   });
 
+  if (isListing) {
+    setupListingMap();
+  } else {
+    // Restore the map when navigating back/forward, or when the fragment is edited
+    window.addEventListener("popstate", function (e) {
+      if (!propostasIndex) return;
+
+      if (e.state && e.state.mapState) {
+        applyMapState(e.state.mapState);
+      } else {
+        applyMapState(readMapStateFromUrl());
+        replaceMapState();
+      }
+    });
+
+    // Return focus to where it was when the details panel opened, or to the
+    // proposta in the list, so keyboard users don't lose their place
+    setupPanelFocus();
+
+    // Closing the details panel pops the history entry pushed when it opened,
+    // unless it was closed by going back (or forward) in the first place
+    document
+      .getElementById("detailsPanel")
+      .addEventListener("hidden.bs.offcanvas", function () {
+        if (isClosingFromHistory) {
+          isClosingFromHistory = false;
+        } else if (history.state && history.state.pushed) {
+          history.back();
+        } else if (selectedSlug) {
+          selectedSlug = null;
+          removeSelectionStyling();
+          replaceMapState();
+        }
+      });
+
+    // Add event listener for the more info button
+    document
+      .getElementById("moreInfoBtn")
+      .addEventListener("click", function () {
+        // Remove previous selection styling if exists
+        removeSelectionStyling();
+        if (selectedSlug) {
+          selectedSlug = null;
+          replaceMapState();
+        }
+
+        // Show general info content
+        showPanelContent("generalInfoContent");
+
+        // Show the offcanvas panel
+        const panel = new bootstrap.Offcanvas(
+          document.getElementById("detailsPanel"),
+        );
+        panel.show();
+      });
+  }
+
   // Expose map to global scope for debugging
   window.mapInstance = map;
 });
@@ -0,0 +1,136 @@
+// Safe rendering helpers for proposta content
+// Proposta properties come straight from the Google My Map, which anyone with edit
+// access can change, so they must never be interpolated into HTML unescaped.
+// formatRichText() allows a small formatting subset: paragraphs, line breaks,
+// **bold**, [links](https://...), bare https links and "-"/"*"/"1." lists.
+window.safeHtml = (function () {
+  const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+    "`": "&#96;",
+  };
+
+  // Absolute https URLs, or paths on this site ("/..." but not "//...", or "./...")
+  const SAFE_URL_PATTERN = /^(?:https:\/\/[^\s"'<>`\\]+|\/(?!\/)[^\s"'<>`\\]*|\.\/[^\s"'<>`\\]*)$/i;
+
+  // Links may also point to http sites and e-mail addresses
+  const SAFE_LINK_PATTERN = /^(?:https?:\/\/[^\s"'<>`\\]+|mailto:[^\s"'<>`\\]+|\/(?!\/)[^\s"'<>`\\]*|\.\/[^\s"'<>`\\]*)$/i;
+
+  const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+  // Markdown-style links or bare URLs, matched on already escaped text
+  const LINK_PATTERN = /\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]+[^\s<.,;:!?)])/g;
+
+  // Function to escape text for use in HTML content and attributes
+  function escapeHtml(value) {
+    if (value === null || value === undefined) return "";
+    return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+  }
+
+  // Function to reverse escapeHtml, used to validate URLs found in escaped text
+  function unescapeHtml(value) {
+    return value
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&#96;/g, "`")
+      .replace(/&amp;/g, "&");
+  }
+
+  // Function to check that a URL is safe to use as an image source
+  function isSafeImageUrl(url) {
+    return typeof url === "string" && SAFE_URL_PATTERN.test(url.trim());
+  }
+
+  // Function to check that a URL is safe to use as a link target
+  function isSafeLinkUrl(url) {
+    return typeof url === "string" && SAFE_LINK_PATTERN.test(url.trim());
+  }
+
+  // Function to check that a slug can be used in a URL path
+  function isValidSlug(slug) {
+    return typeof slug === "string" && SLUG_PATTERN.test(slug.trim());
+  }
+
+  // Function to split a space or comma separated list of image URLs, dropping unsafe ones
+  function parseImageUrls(value) {
+    if (typeof value !== "string") return [];
+
+    return value
+      .trim()
+      .split(/[\s,]+/)
+      .filter((url) => url !== "" && isSafeImageUrl(url));
+  }
+
+  // Function to format inline text: escapes it, then adds bold and links
+  function formatInline(text) {
+    const escaped = escapeHtml(text).replace(
+      /\*\*([^*\n]+)\*\*/g,
+      "<strong>$1</strong>",
+    );
+
+    return escaped.replace(
+      LINK_PATTERN,
+      (match, label, markdownUrl, bareUrl) => {
+        const url = unescapeHtml(markdownUrl || bareUrl);
+        if (!isSafeLinkUrl(url)) {
+          return label || match;
+        }
+
+        return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${label || escapeHtml(url)}</a>`;
+      },
+    );
+  }
+
+  // Function to render a block of lines as a paragraph or a list
+  function formatBlock(lines) {
+    const bulletPattern = /^\s*[-*•]\s+/;
+    const numberPattern = /^\s*\d+[.)]\s+/;
+
+    if (lines.every((line) => bulletPattern.test(line))) {
+      const items = lines.map(
+        (line) => `<li>${formatInline(line.replace(bulletPattern, ""))}</li>`,
+      );
+      return `<ul>${items.join("")}</ul>`;
+    }
+
+    if (lines.every((line) => numberPattern.test(line))) {
+      const items = lines.map(
+        (line) => `<li>${formatInline(line.replace(numberPattern, ""))}</li>`,
+      );
+      return `<ol>${items.join("")}</ol>`;
+    }
+
+    return `<p>${lines.map(formatInline).join("<br>")}</p>`;
+  }
+
+  // Function to render user provided text with the allowed formatting subset
+  function formatRichText(text) {
+    if (text === null || text === undefined) return "";
+
+    // Google My Maps descriptions use <br> for line breaks; every other tag is escaped
+    const normalized = String(text)
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/\r\n?/g, "\n");
+
+    return normalized
+      .split(/\n\s*\n/)
+      .map((block) => block.split("\n").filter((line) => line.trim() !== ""))
+      .filter((lines) => lines.length > 0)
+      .map(formatBlock)
+      .join("");
+  }
+
+  return {
+    escapeHtml: escapeHtml,
+    formatRichText: formatRichText,
+    isSafeImageUrl: isSafeImageUrl,
+    isSafeLinkUrl: isSafeLinkUrl,
+    isValidSlug: isValidSlug,
+    parseImageUrls: parseImageUrls,
+  };
+})();
@@ -0,0 +1,200 @@
+// Accent-insensitive, typo-tolerant search, shared by the map search and propostas pages
+// A query is split into terms that must all match some field of an entry. A term can match
+// the start of a word, the middle of one or, once it is long enough, a word it is one typo
+// away from, each scoring less than the one before. highlight() marks the hits in the
+// original text so they can be shown. Depends on safe-html.js.
+window.propostasSearch = (function () {
+  // Shorter terms must match exactly, as a single typo would match far too much
+  const TYPO_MIN_LENGTH = 4;
+
+  // Share of a field's weight scored by each kind of match
+  const MATCH_SCORES = {
+    wordStart: 1,
+    contains: 0.6,
+    typo: 0.4,
+  };
+
+  // Runs of letters and digits, in any script
+  const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+  // Helper function to lowercase text and strip its accents
+  function foldText(text) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  // Function to lowercase text and strip accents for matching ("Praça" becomes "praca")
+  function normalize(text) {
+    return foldText((text || "").toString()).trim();
+  }
+
+  // Function to split a query into normalized terms
+  function getTerms(query) {
+    return normalize(query).split(/\s+/).filter(Boolean);
+  }
+
+  // Helper function to check that two words differ by at most one added, removed or
+  // changed letter, or two swapped neighbouring letters
+  function isOneEditAway(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        i++;
+        j++;
+        continue;
+      }
+
+      edits++;
+      if (edits > 1) return false;
+
+      if (a[i] === b[j + 1] && a[i + 1] === b[j] && a.length === b.length) {
+        i += 2;
+        j += 2;
+      } else if (a.length > b.length) {
+        i++;
+      } else if (a.length < b.length) {
+        j++;
+      } else {
+        i++;
+        j++;
+      }
+    }
+
+    return edits + (a.length - i) + (b.length - j) <= 1;
+  }
+
+  // Helper function to check whether a term is a typo of a word, or of the start of one
+  function isTypoOf(term, word) {
+    if (term.length < TYPO_MIN_LENGTH) return false;
+
+    return [term.length - 1, term.length, term.length + 1].some((length) =>
+      isOneEditAway(term, word.slice(0, length)),
+    );
+  }
+
+  // Function to score how well a term matches a normalized field (0 means no match)
+  function matchTerm(field, term) {
+    if (!field) return 0;
+
+    const words = field.match(WORD_PATTERN) || [];
+
+    if (words.some((word) => word.startsWith(term))) {
+      return MATCH_SCORES.wordStart;
+    }
+    if (field.includes(term)) {
+      return MATCH_SCORES.contains;
+    }
+    if (words.some((word) => isTypoOf(term, word))) {
+      return MATCH_SCORES.typo;
+    }
+
+    return 0;
+  }
+
+  // Function to score an entry's normalized fields against the terms of a query
+  // weights maps field names to how much they count; 0 means some term matched nothing
+  function score(fields, weights, terms) {
+    let total = 0;
+
+    for (const term of terms) {
+      let best = 0;
+
+      Object.keys(weights).forEach((name) => {
+        best = Math.max(best, weights[name] * matchTerm(fields[name], term));
+      });
+
+      if (best === 0) return 0;
+      total += best;
+    }
+
+    return total;
+  }
+
+  // Function to escape text for HTML, wrapping the parts that match a query in <mark>
+  function highlight(text, query) {
+    const { escapeHtml } = window.safeHtml;
+    const source = (text || "").toString();
+    const terms = getTerms(query);
+
+    if (terms.length === 0) {
+      return escapeHtml(source);
+    }
+
+    // Fold the text a character at a time, remembering where each folded character came from
+    let folded = "";
+    const offsets = [];
+    let position = 0;
+
+    for (const char of source) {
+      const foldedChar = foldText(char);
+      for (let k = 0; k < foldedChar.length; k++) {
+        offsets.push(position);
+      }
+      folded += foldedChar;
+      position += char.length;
+    }
+    offsets.push(position);
+
+    // Mark exact hits, or else the words a term is a typo of
+    const ranges = [];
+
+    terms.forEach((term) => {
+      let index = folded.indexOf(term);
+
+      if (index === -1) {
+        for (const match of folded.matchAll(WORD_PATTERN)) {
+          if (isTypoOf(term, match[0])) {
+            ranges.push([match.index, match.index + match[0].length]);
+          }
+        }
+        return;
+      }
+
+      while (index !== -1) {
+        ranges.push([index, index + term.length]);
+        index = folded.indexOf(term, index + term.length);
+      }
+    });
+
+    // Merge overlapping hits, then map them back onto the original text
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let html = "";
+    let last = 0;
+    let current = null;
+
+    const flush = () => {
+      const start = offsets[current[0]];
+      const end = offsets[current[1]];
+      html += escapeHtml(source.slice(last, start));
+      html += `<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+      last = end;
+    };
+
+    ranges.forEach((range) => {
+      if (current && range[0] <= current[1]) {
+        current[1] = Math.max(current[1], range[1]);
+      } else {
+        if (current) flush();
+        current = range.slice();
+      }
+    });
+    if (current) flush();
+
+    return html + escapeHtml(source.slice(last));
+  }
+
+  return {
+    normalize: normalize,
+    getTerms: getTerms,
+    score: score,
+    highlight: highlight,
+  };
+})();
@@ -0,0 +1,133 @@
+// Shortlist of the propostas a visitor has saved, kept in the browser's local storage
+// Propostas are saved as "freguesia/slug" (just the slug for the city's programme), so
+// the same list works on the freguesia maps, the citywide map and the proposta pages.
+// Any element with data-shortlist-key becomes a save button: clicking it adds or removes
+// that proposta, and it is kept pressed while the proposta is saved, showing the text of
+// its data-label-save or data-label-saved in a [data-shortlist-label] child (or as its
+// tooltip). Changes, including those made in other tabs, are announced with a
+// "propostas:shortlist" event on window.
+window.propostasShortlist = (function () {
+  const STORAGE_KEY = "propostasShortlist";
+
+  // Helper function to build the key a proposta is saved under
+  function getKey(freguesia, slug) {
+    return freguesia ? `${freguesia}/${slug}` : slug;
+  }
+
+  // Function to list the saved keys, in the order they were saved
+  function list() {
+    try {
+      const keys = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      return Array.isArray(keys) ? keys : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Function to check whether a proposta is saved
+  function has(key) {
+    return list().includes(key);
+  }
+
+  // Helper function to store the saved keys and tell the page
+  function write(keys) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(keys));
+    } catch (error) {
+      // Storage can be unavailable (e.g. private browsing), so nothing is kept
+      console.warn("Could not save the shortlist:", error);
+    }
+    notify();
+  }
+
+  // Function to save propostas, keeping those already saved where they are
+  function add(keys) {
+    const saved = list();
+    write(saved.concat(keys.filter((key) => !saved.includes(key))));
+  }
+
+  // Function to remove a proposta from the shortlist
+  function remove(key) {
+    write(list().filter((saved) => saved !== key));
+  }
+
+  // Function to save a proposta, or remove it if it is already saved
+  // Returns whether it is saved now
+  function toggle(key) {
+    if (has(key)) {
+      remove(key);
+      return false;
+    }
+
+    add([key]);
+    return true;
+  }
+
+  // Function to show whether each save button's proposta is saved
+  function updateButtons(root) {
+    const saved = new Set(list());
+
+    (root || document)
+      .querySelectorAll("[data-shortlist-key]")
+      .forEach((button) => {
+        const isSaved = saved.has(button.dataset.shortlistKey);
+        const label = isSaved
+          ? button.dataset.labelSaved
+          : button.dataset.labelSave;
+
+        button.setAttribute("aria-pressed", isSaved);
+        button.classList.toggle("active", isSaved);
+
+        const icon = button.querySelector(".bi");
+        if (icon) {
+          icon.classList.toggle("bi-bookmark", !isSaved);
+          icon.classList.toggle("bi-bookmark-fill", isSaved);
+        }
+
+        // Buttons showing just the icon get the label as their tooltip
+        const labelElement = button.querySelector("[data-shortlist-label]");
+        if (label && labelElement) {
+          labelElement.textContent = label;
+        } else if (label) {
+          button.title = label;
+        }
+      });
+  }
+
+  // Helper function to tell the page that the shortlist changed
+  function notify() {
+    updateButtons();
+    window.dispatchEvent(
+      new CustomEvent("propostas:shortlist", { detail: { keys: list() } }),
+    );
+  }
+
+  document.addEventListener("click", function (e) {
+    const button = e.target.closest("[data-shortlist-key]");
+    if (!button) return;
+
+    e.preventDefault();
+    toggle(button.dataset.shortlistKey);
+  });
+
+  // Another tab changed the shortlist
+  window.addEventListener("storage", function (e) {
+    if (e.key === STORAGE_KEY) notify();
+  });
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", () => updateButtons());
+  } else {
+    updateButtons();
+  }
+
+  return {
+    getKey: getKey,
+    list: list,
+    has: has,
+    add: add,
+    remove: remove,
+    toggle: toggle,
+    updateButtons: updateButtons,
+  };
+})();
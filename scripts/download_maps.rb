@@ -3,6 +3,7 @@
 require "http"
 require "json"
 require "uri"
+require "date"
 require "digest"
 require "fileutils"
 require "active_support/inflector"
@@ -20,6 +21,9 @@ class GoogleMyMapsDownloader
   MAX_IMAGE_HEIGHT = 800
   JPEG_QUALITY = 85
 
+  # When each generated page last changed, kept between builds (cached by the deploy workflow)
+  UPDATED_AT_PATH = "data/updated_at.json"
+
   def initialize(page_data:, freguesia_slug:, verbose: false, local: false)
     @page_data = page_data
     @freguesia_slug = freguesia_slug
@@ -57,6 +61,8 @@ class GoogleMyMapsDownloader
       generate_translations
     end
 
+    write_updated_at
+
     print_summary
   end
 
@@ -129,6 +135,8 @@ class GoogleMyMapsDownloader
         next unless value.is_a?(String)
         next if value.strip.empty?
         next if key == "slug" # Don't translate slugs
+        next if key == "feature_id" # Keep the map's feature ids the same in every language
+        next if key == "eixo" # Keep eixos as stable keys for colours and filters
         next if key == "gx_media_links" # Don't translate media links
         next if key == "coordinates" # Don't translate coordinates
         next if key == "styleUrl" # Don't translate style URLs
@@ -140,6 +148,11 @@ class GoogleMyMapsDownloader
         translated_value = translator.translate(value)
         properties[key] = translated_value if translated_value
       end
+
+      # Translated eixo shown in the map UI
+      if properties["eixo"].present?
+        properties["eixo_label"] = translator.translate(properties["eixo"]) || properties["eixo"]
+      end
     end
 
     # Write translated GeoJSON
@@ -161,11 +174,8 @@ class GoogleMyMapsDownloader
   end
 
   def generate_translated_page_for_group(group, language, translator)
-    slug = group["slug"]
-    return false unless slug && !slug.to_s.strip.empty?
-
-    # Create slug subdirectory for language files
-    slug_dir = "#{output_root_path}propostas/#{slug}"
+    # Create a subdirectory per proposta (named after its feature_id) for language files
+    slug_dir = "#{output_root_path}propostas/#{group["feature_id"]}"
     FileUtils.mkdir_p(slug_dir)
 
     page_path = "#{slug_dir}/#{language}.md"
@@ -174,7 +184,7 @@ class GoogleMyMapsDownloader
     front_matter = generate_translated_front_matter_for_group(group, language, translator)
 
     # Write the page
-    File.write(page_path, front_matter)
+    write_page(page_path, front_matter)
     log "Generated translated page: #{page_path}"
     true
   end
@@ -188,6 +198,7 @@ class GoogleMyMapsDownloader
       "freguesia" => translator.translate(page_data["freguesia"]),
       "freguesia_slug" => freguesia_slug,
       "slug" => group["slug"],
+      "feature_id" => group["feature_id"],
       "has_map_location" => group["has_map_location"],
       "parties" => page_data["parties"],
       "under_construction" => page_data["under_construction"],
@@ -198,7 +209,7 @@ class GoogleMyMapsDownloader
 
     # Add all combined properties as translated front matter variables
     properties.each do |key, value|
-      next if key == "slug" # Already added
+      next if ["slug", "feature_id"].include?(key) # Already added
       next if ["description", "tessellate", "extrude", "visibility", "coordinates", "styleUrl", "styleHash"].include?(key)
       next if value.nil? || value.to_s.strip.empty?
 
@@ -645,6 +656,7 @@ class GoogleMyMapsDownloader
       feature["properties"] = feature["properties"].slice(
         "slug", "name", "proposta", "sumario", "descricao", "eixo", "gx_media_links"
       )
+      feature["properties"]["feature_id"] = feature_id_for(feature)
       feature
     end
 
@@ -659,6 +671,18 @@ class GoogleMyMapsDownloader
     end
   end
 
+  # Stable id the map uses for a proposta's selection and hover states: its slug, or for
+  # placemarks without one a hash of their content, so they can still be selected
+  def feature_id_for(feature)
+    slug = feature["properties"]["slug"].to_s.strip
+    return slug unless slug.empty?
+
+    content = feature["properties"].values_at("name", "proposta").push(feature["geometry"]).to_json
+    "sem-slug-#{Digest::SHA1.hexdigest(content)[0, 10]}"
+  end
+
+  # Propostas are grouped by feature_id: their slug, or for placemarks without one the
+  # hash given by feature_id_for, so they still get a page and a card on the listing
   def group_propostas_by_slug
     log "Grouping propostas by slug..."
 
@@ -666,12 +690,12 @@ class GoogleMyMapsDownloader
 
     # Process geographical features
     @valid_features.each do |feature|
-      slug = feature["properties"]["slug"]
-      next unless slug && !slug.to_s.strip.empty?
+      feature_id = feature["properties"]["feature_id"]
+      slug = feature["properties"]["slug"].to_s.strip.presence
 
-      slug = slug.to_s.strip
-      @grouped_propostas[slug] ||= {
+      @grouped_propostas[feature_id] ||= {
         "slug" => slug,
+        "feature_id" => feature_id,
         "has_map_location" => false,
         "geographical_features" => [],
         "non_geographical_features" => [],
@@ -679,9 +703,9 @@ class GoogleMyMapsDownloader
         "all_images" => []
       }
 
-      @grouped_propostas[slug]["has_map_location"] = true
-      @grouped_propostas[slug]["geographical_features"] << feature
-      merge_properties(@grouped_propostas[slug], feature["properties"])
+      @grouped_propostas[feature_id]["has_map_location"] = true
+      @grouped_propostas[feature_id]["geographical_features"] << feature
+      merge_properties(@grouped_propostas[feature_id], feature["properties"])
     end
 
     # Process non-geographical features
@@ -692,6 +716,7 @@ class GoogleMyMapsDownloader
       slug = slug.to_s.strip
       @grouped_propostas[slug] ||= {
         "slug" => slug,
+        "feature_id" => slug,
         "has_map_location" => false,
         "geographical_features" => [],
         "non_geographical_features" => [],
@@ -840,10 +865,7 @@ class GoogleMyMapsDownloader
   end
 
   def generate_page_for_group(group)
-    slug = group["slug"]
-    return false unless slug && !slug.to_s.strip.empty?
-
-    page_path = "#{output_root_path}propostas/#{slug}.md"
+    page_path = "#{output_root_path}propostas/#{group["feature_id"]}.md"
 
     # Create directory if it doesn't exist
     FileUtils.mkdir_p(File.dirname(page_path))
@@ -852,11 +874,39 @@ class GoogleMyMapsDownloader
     front_matter = generate_front_matter_for_group(group)
 
     # Write the page
-    File.write(page_path, front_matter)
+    write_page(page_path, front_matter)
     log "Generated page: #{page_path} (#{group["has_map_location"] ? "with" : "without"} map location, #{group["geographical_features"].length + group["non_geographical_features"].length} features)"
     true
   end
 
+  # Write a generated page, stamping it with the date its content last changed
+  # My Maps doesn't say when a placemark was edited, so a hash of each page is kept in
+  # UPDATED_AT_PATH and the page keeps its date for as long as its content hashes the same
+  def write_page(page_path, front_matter)
+    content_hash = Digest::SHA256.hexdigest(front_matter)
+    entry = updated_at_store[page_path]
+
+    unless entry && entry["hash"] == content_hash
+      entry = updated_at_store[page_path] = {
+        "hash" => content_hash,
+        "updated_at" => Date.today.iso8601
+      }
+    end
+
+    File.write(page_path, front_matter.sub(/\A---\n/) { "---\nupdated_at: '#{entry["updated_at"]}'\n" })
+  end
+
+  def updated_at_store
+    @updated_at_store ||= File.exist?(UPDATED_AT_PATH) ? JSON.parse(File.read(UPDATED_AT_PATH)) : {}
+  end
+
+  def write_updated_at
+    return unless @updated_at_store
+
+    FileUtils.mkdir_p(File.dirname(UPDATED_AT_PATH))
+    File.write(UPDATED_AT_PATH, JSON.pretty_generate(@updated_at_store.sort.to_h))
+  end
+
   def generate_front_matter_for_group(group)
     properties = group["combined_properties"]
 
@@ -866,6 +916,7 @@ class GoogleMyMapsDownloader
       "freguesia" => page_data["freguesia"],
       "freguesia_slug" => freguesia_slug,
       "slug" => group["slug"],
+      "feature_id" => group["feature_id"],
       "has_map_location" => group["has_map_location"],
       "parties" => page_data["parties"],
       "under_construction" => page_data["under_construction"],
@@ -874,7 +925,7 @@ class GoogleMyMapsDownloader
 
     # Add all combined properties as front matter variables
     properties.each do |key, value|
-      next if key == "slug" # Already added
+      next if ["slug", "feature_id"].include?(key) # Already added
       next if ["description", "tessellate", "extrude", "visibility", "coordinates"].include?(key) # fields to ignore or handle separately
       next if value.nil? || value.to_s.strip.empty?
 
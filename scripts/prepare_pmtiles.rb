@@ -5,16 +5,18 @@ class PreparePmtiles
 
     if @language
       @output = "assets/data/#{freguesia_slug}-#{language}.pmtiles"
-      @sources = [
-        "tmp/#{freguesia_slug}/propostas-#{language}.geojson",
-        "data/freguesias/#{freguesia_slug}/border.geojson"
-      ]
+      @index_output = "assets/data/#{freguesia_slug}-#{language}.json"
+      @layers = {
+        "propostas" => "tmp/#{freguesia_slug}/propostas-#{language}.geojson",
+        "border" => "data/freguesias/#{freguesia_slug}/border.geojson"
+      }
     else
       @output = "assets/data/#{freguesia_slug}.pmtiles"
-      @sources = [
-        "tmp/#{freguesia_slug}/propostas.geojson",
-        "data/freguesias/#{freguesia_slug}/border.geojson"
-      ]
+      @index_output = "assets/data/#{freguesia_slug}.json"
+      @layers = {
+        "propostas" => "tmp/#{freguesia_slug}/propostas.geojson",
+        "border" => "data/freguesias/#{freguesia_slug}/border.geojson"
+      }
     end
   end
 
@@ -33,7 +35,7 @@ class PreparePmtiles
       "--simplification=1",
       "--force",
       "-o", @output
-    ] + @sources
+    ] + @layers.flat_map { |name, source| ["-L", "#{name}:#{source}"] }
 
     p cmd
 
@@ -43,7 +45,24 @@ class PreparePmtiles
 
     lang_suffix = @language ? " (#{@language})" : ""
     puts "✅ Successfully generated PMTiles#{lang_suffix}: #{@output}"
-    puts "   Layers included: #{@sources.map { |f| File.basename(f, ".geojson") }.join(", ")}"
+    puts "   Layers included: #{@layers.keys.join(", ")}"
     puts "   File size: #{File.size("#{@output}")} bytes"
+
+    write_index
+    puts "✅ Successfully generated index#{lang_suffix}: #{@index_output}"
+    puts "   File size: #{File.size("#{@index_output}")} bytes"
+  end
+
+  private
+
+  # Write the full, untiled features of every layer as a JSON sidecar, so the
+  # map can rely on all propostas regardless of which tiles are rendered
+  def write_index
+    index = @layers.transform_values do |source|
+      geojson = JSON.parse(File.read(source))
+      {"type" => "FeatureCollection", "features" => geojson["features"]}
+    end
+
+    File.write(@index_output, JSON.generate(index))
   end
 end
@@ -0,0 +1,278 @@
+// Tests for the safe rendering helpers in assets/js/safe-html.js
+// Run with "rake test" (or "node --test test/"); needs Node 18 or later.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+// The helpers are a browser script that sets window.safeHtml, so run it with a stand-in window
+function loadSafeHtml() {
+  const source = fs.readFileSync(
+    path.join(__dirname, "..", "assets", "js", "safe-html.js"),
+    "utf8",
+  );
+  const context = { window: {} };
+  vm.runInNewContext(source, context);
+  return context.window.safeHtml;
+}
+
+const {
+  escapeHtml,
+  formatRichText,
+  isSafeImageUrl,
+  isSafeLinkUrl,
+  isValidSlug,
+  parseImageUrls,
+} = loadSafeHtml();
+
+// Tags formatRichText() may produce, and the only attributes its links have
+const ALLOWED_TAGS = ["p", "br", "strong", "a", "ul", "ol", "li"];
+const LINK_ATTRIBUTES = /^ href="([^"<>]*)" target="_blank" rel="noopener noreferrer"$/;
+
+// Helper function to check that rendered HTML only has the allowed tags and safe links
+function assertSafeHtml(html) {
+  for (const [tag, name, attributes] of html.matchAll(/<\/?([a-z0-9]+)([^>]*)>/gi)) {
+    assert.ok(ALLOWED_TAGS.includes(name.toLowerCase()), `unexpected tag ${tag}`);
+
+    if (tag.startsWith("</") || attributes === "") continue;
+
+    assert.equal(name, "a", `unexpected attributes in ${tag}`);
+    const link = attributes.match(LINK_ATTRIBUTES);
+    assert.ok(link, `unexpected link attributes in ${tag}`);
+
+    const href = link[1].replace(/&amp;/g, "&");
+    assert.ok(isSafeLinkUrl(href), `unsafe link ${href}`);
+  }
+
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /href="\s*(?:javascript|data|vbscript):/i);
+}
+
+test("escapeHtml escapes every character that can start markup or end an attribute", () => {
+  assert.equal(
+    escapeHtml(`<a href="x" onclick='y'>\`&`),
+    "&lt;a href=&quot;x&quot; onclick=&#39;y&#39;&gt;&#96;&amp;",
+  );
+});
+
+test("escapeHtml turns missing values into empty text and stringifies the rest", () => {
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(undefined), "");
+  assert.equal(escapeHtml(42), "42");
+});
+
+test("escapeHtml keeps quotes from breaking out of an attribute", () => {
+  const value = `" onmouseover="alert(1)`;
+  const html = `<div title="${escapeHtml(value)}">`;
+
+  assert.equal(html, '<div title="&quot; onmouseover=&quot;alert(1)">');
+  assert.doesNotMatch(html, /" onmouseover="/);
+});
+
+test("formatRichText escapes script tags", () => {
+  const html = formatRichText("<script>alert(1)</script>");
+
+  assert.equal(html, "<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>");
+  assertSafeHtml(html);
+});
+
+test("formatRichText escapes tags with event handler attributes", () => {
+  [
+    '<img src=x onerror="alert(1)">',
+    "<svg onload=alert(1)>",
+    '<a href="https://example.org" onclick="alert(1)">link</a>',
+    "<p onmouseover='alert(1)'>text</p>",
+  ].forEach((input) => {
+    const html = formatRichText(input);
+
+    assertSafeHtml(html);
+    assert.doesNotMatch(html, /<(?:img|svg)/i);
+  });
+});
+
+test("formatRichText keeps the <br> line breaks Google My Maps uses", () => {
+  assert.equal(
+    formatRichText("one<br>two<BR/>three"),
+    "<p>one<br>two<br>three</p>",
+  );
+});
+
+test("formatRichText renders the allowed formatting", () => {
+  assert.equal(
+    formatRichText("**bold** and [a link](https://example.org)\n\n- one\n- two\n\n1. first\n2. second"),
+    '<p><strong>bold</strong> and <a href="https://example.org" target="_blank" rel="noopener noreferrer">a link</a></p>' +
+      "<ul><li>one</li><li>two</li></ul>" +
+      "<ol><li>first</li><li>second</li></ol>",
+  );
+});
+
+test("formatRichText doesn't link javascript:, data: or vbscript: URLs", () => {
+  [
+    "[click](javascript:alert(1))",
+    "[click](JaVaScRiPt:alert(1))",
+    "[click](%20javascript:alert(1))",
+    "[click]( javascript:alert(1))",
+    "[click](java\tscript:alert(1))",
+    "[click](jav&#x61;script:alert(1))",
+    "[click](&#106;avascript:alert(1))",
+    "[click](javascript&colon;alert(1))",
+    "[click](data:text/html,<script>alert(1)</script>)",
+    "[click](DATA:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)",
+    "[click](vbscript:msgbox(1))",
+    "[click](VBScript:msgbox(1))",
+    "javascript:alert(1)",
+  ].forEach((input) => {
+    const html = formatRichText(input);
+
+    assertSafeHtml(html);
+    assert.doesNotMatch(html, /<a /, `linked ${input}`);
+  });
+});
+
+test("formatRichText doesn't let a link URL break out of its attribute", () => {
+  [
+    '[a](https://example.org/" onmouseover="alert(1))',
+    "[a](https://example.org/' onmouseover='alert(1))",
+    'https://example.org/"onmouseover="alert(1)',
+    "https://example.org/`onmouseover=alert(1)`",
+  ].forEach((input) => {
+    const html = formatRichText(input);
+
+    assertSafeHtml(html);
+    assert.doesNotMatch(html, /<a [^>]*onmouseover/i);
+  });
+});
+
+test("formatRichText handles malformed and nested markdown links safely", () => {
+  [
+    "[x](https://example.org",
+    "[x(https://example.org)",
+    "[](https://example.org)",
+    "[x]()",
+    "[x](https://example.org/a_(b))",
+    "[[x](javascript:alert(1))](https://example.org)",
+    "[x]([y](https://example.org))",
+    "[**x**](https://example.org)",
+    "**[x](javascript:alert(1))**",
+  ].forEach((input) => {
+    assertSafeHtml(formatRichText(input));
+  });
+
+  // The inner javascript: link of a nested link is never linked
+  assert.doesNotMatch(
+    formatRichText("[[x](javascript:alert(1))](https://example.org)"),
+    /javascript:alert\(1\)[^<]*<\/a>|href="javascript/,
+  );
+});
+
+test("formatRichText links bare https URLs without trailing punctuation", () => {
+  assert.equal(
+    formatRichText("see https://example.org/a?b=1&c=2."),
+    '<p>see <a href="https://example.org/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer">https://example.org/a?b=1&amp;c=2</a>.</p>',
+  );
+});
+
+test("formatRichText turns missing values into empty text", () => {
+  assert.equal(formatRichText(null), "");
+  assert.equal(formatRichText(undefined), "");
+  assert.equal(formatRichText("  \n\n  "), "");
+});
+
+test("isSafeLinkUrl accepts http, https, mailto and site paths", () => {
+  [
+    "https://example.org/page",
+    "HTTPS://EXAMPLE.ORG",
+    "http://example.org",
+    "mailto:info@example.org",
+    "/propostas/",
+    "./propostas/slug/",
+    "  https://example.org  ",
+  ].forEach((url) => assert.equal(isSafeLinkUrl(url), true, url));
+});
+
+test("isSafeLinkUrl rejects script URLs, however they are disguised", () => {
+  [
+    "javascript:alert(1)",
+    "JavaScript:alert(1)",
+    " javascript:alert(1)",
+    "java\tscript:alert(1)",
+    "java\nscript:alert(1)",
+    "jav&#x61;script:alert(1)",
+    "&#106;avascript:alert(1)",
+    "javascript&colon;alert(1)",
+    "data:text/html,<script>alert(1)</script>",
+    "Data:text/html;base64,PHNjcmlwdD4=",
+    "vbscript:msgbox(1)",
+    "VBSCRIPT:msgbox(1)",
+    "//evil.example.org/",
+    "https://example.org/\"onmouseover=alert(1)",
+    "https://example.org/'x",
+    "https://example.org/<script>",
+    "",
+    null,
+    undefined,
+    42,
+  ].forEach((url) => assert.equal(isSafeLinkUrl(url), false, String(url)));
+});
+
+test("isSafeImageUrl only accepts https URLs and site paths", () => {
+  ["https://example.org/a.png", "/assets/data/images/a.jpg", "./a.png"].forEach(
+    (url) => assert.equal(isSafeImageUrl(url), true, url),
+  );
+
+  [
+    "http://example.org/a.png",
+    "javascript:alert(1)",
+    "JAVASCRIPT:alert(1)",
+    "data:image/png;base64,AAAA",
+    "data:image/svg+xml,<svg onload=alert(1)>",
+    "vbscript:msgbox(1)",
+    "//evil.example.org/a.png",
+    'https://example.org/a.png" onerror="alert(1)',
+    "mailto:info@example.org",
+    "",
+    null,
+  ].forEach((url) => assert.equal(isSafeImageUrl(url), false, String(url)));
+});
+
+test("isValidSlug rejects path traversal and separators", () => {
+  ["praca-do-chile", "horta_1", "A1"].forEach((slug) =>
+    assert.equal(isValidSlug(slug), true, slug),
+  );
+
+  [
+    "../etc/passwd",
+    "..",
+    "./slug",
+    "a/b",
+    "/slug",
+    "a\\b",
+    "a.b",
+    "-slug",
+    "a b",
+    "slug?x=1",
+    "slug#x",
+    "%2e%2e",
+    "",
+    null,
+    undefined,
+  ].forEach((slug) => assert.equal(isValidSlug(slug), false, String(slug)));
+});
+
+test("parseImageUrls keeps the safe URLs of a space or comma separated list", () => {
+  assert.deepEqual(
+    Array.from(
+      parseImageUrls(
+        "https://example.org/1.png javascript:alert(1), /2.jpg,data:image/png;base64,AA //evil.example.org/3.png http://example.org/4.png",
+      ),
+    ),
+    ["https://example.org/1.png", "/2.jpg"],
+  );
+});
+
+test("parseImageUrls returns nothing for missing or empty values", () => {
+  assert.deepEqual(Array.from(parseImageUrls(undefined)), []);
+  assert.deepEqual(Array.from(parseImageUrls(null)), []);
+  assert.deepEqual(Array.from(parseImageUrls("   ")), []);
+});